@@ -0,0 +1,161 @@
+/**
+ * Layer and head knockout by patching the ONNX file in place. The weights
+ * that write a component's output into the residual stream are zeroed, so
+ * the component adds nothing (zero ablation) and everything downstream runs
+ * for real on what is left:
+ *
+ *   layer  attention output projection + MLP down projection, with biases
+ *   head   that head's input rows of the attention output projection
+ *
+ * Exporters name nodes after the module they came from
+ * ("/model/layers.3/self_attn/o_proj/MatMul"), which is how the projections
+ * are found whatever the initializers are called.
+ */
+
+import { indexModel, DTYPE } from './weights.js';
+
+// Output projections per family: GPT-2 / Neo (c_proj, out_proj), NeoX (dense,
+// dense_4h_to_h), Llama / Qwen / Mistral (o_proj, down_proj), Phi (dense, fc2)
+const ATTN_OUT = /(?:^|\/)(?:h|layers|layer)\.(\d+)\/(?:attn\/attention|attn|self_attn|attention)\/(?:c_proj|o_proj|out_proj|dense)\//;
+const MLP_OUT = /(?:^|\/)(?:h|layers|layer)\.(\d+)\/mlp\/(?:c_proj|down_proj|dense_4h_to_h|fc2)\//;
+
+/** Index the model once; the result is reused for every knockout. */
+export function prepare(bytes) {
+  return { bytes, ...indexModel(bytes) };
+}
+
+/**
+ * Knock `layer` (0-based) out of the prepared model's bytes, or only head
+ * `head` of it. `heads` is the number of query heads. The bytes are patched
+ * in place, so only one copy of the file is ever held: build the session from
+ * `bytes`, then call `restore()` to put back every tensor that was touched.
+ * Throws (with the bytes untouched) when the export fused or renamed the
+ * projections beyond recognition.
+ */
+export function knockOut({ bytes, nodes, initializers }, { layer, head = null, heads }) {
+  const inScope = (pattern) => nodes.filter(n => Number(n.name.match(pattern)?.[1]) === layer);
+  const attn = inScope(ATTN_OUT);
+  const mlp = head === null ? inScope(MLP_OUT) : [];
+  if (attn.length === 0 || (head === null && mlp.length === 0)) {
+    throw new Error(`No se encontro la proyeccion de salida de la capa ${layer + 1} en el grafo ONNX`);
+  }
+
+  const patch = { out: bytes, initializers, zeroed: 0, saved: [] };
+  const restore = () => {
+    for (const { offset, data } of patch.saved.reverse()) bytes.set(data, offset);
+    patch.saved = [];
+  };
+  try {
+    for (const node of [...attn, ...mlp]) {
+      patchNode(patch, node, head === null ? null : { head, heads });
+    }
+  } catch (err) {
+    restore();
+    throw err;
+  }
+  if (patch.zeroed === 0) {
+    const ops = [...new Set([...attn, ...mlp].map(n => n.opType))].join(', ');
+    throw new Error(`El export no tiene pesos que se puedan anular en esa capa (operadores: ${ops})`);
+  }
+  return { bytes, restore };
+}
+
+function tensorOf({ initializers }, name) {
+  const tensor = initializers.get(name);
+  if (!tensor) return null;
+  if (tensor.external || tensor.offset < 0) {
+    throw new Error('Los pesos estan en un archivo de datos externo: la ablacion no lo soporta');
+  }
+  return tensor;
+}
+
+const BYTES = { [DTYPE.FLOAT]: 4, [DTYPE.FLOAT16]: 2, [DTYPE.UINT8]: 1, [DTYPE.INT8]: 1 };
+
+/**
+ * Zero what one projection node contributes: the whole weight (and bias) for
+ * a layer, or the rows `slice` = { head, heads } of the weight for a head.
+ * Weights are [in, out] as MatMul takes them ([out, in] for Gemm with transB).
+ */
+function patchNode(patch, node, slice) {
+  const { opType, inputs, attributes } = node;
+  const weight = tensorOf(patch, inputs[1]);
+
+  if (opType === 'MatMul' || opType === 'Gemm' || opType === 'FusedMatMul') {
+    if (weight) zeroRows(patch, weight, slice, { transposed: attributes.transB === 1 });
+    if (opType === 'Gemm' && slice === null) zeroAll(patch, tensorOf(patch, inputs[2]));
+  } else if (opType === 'MatMulInteger') {
+    // (q - zero_point) · scale: a weight equal to its zero point contributes nothing
+    if (weight) zeroRows(patch, weight, slice, { zeroPoint: tensorOf(patch, inputs[3]) });
+  } else if (opType === 'MatMulNBits') {
+    zeroBlocks(patch, tensorOf(patch, inputs[2]), attributes, slice);
+  } else if (opType === 'Add') {
+    if (slice === null) inputs.forEach(name => zeroAll(patch, tensorOf(patch, name)));
+  }
+  // Reshapes and the like in the same scope carry no weights
+}
+
+/** Keep the original bytes of `tensor` for restore() before they change. */
+function save(patch, tensor) {
+  patch.saved.push({ offset: tensor.offset, data: patch.out.slice(tensor.offset, tensor.offset + tensor.length) });
+}
+
+function zeroAll(patch, tensor) {
+  if (!tensor) return;
+  save(patch, tensor);
+  patch.out.fill(0, tensor.offset, tensor.offset + tensor.length);
+  patch.zeroed++;
+}
+
+/** Rows of `tensor` to zero: all of them, or the ones feeding one head. */
+function rowRange(rows, slice) {
+  if (!slice) return [0, rows];
+  if (rows % slice.heads !== 0) throw new Error(`${rows} filas no se reparten entre ${slice.heads} cabezas`);
+  const perHead = rows / slice.heads;
+  return [slice.head * perHead, (slice.head + 1) * perHead];
+}
+
+function zeroRows(patch, tensor, slice, { transposed = false, zeroPoint = null } = {}) {
+  const size = BYTES[tensor.dataType];
+  if (!size || tensor.dims.length !== 2) throw new Error(`Peso ${tensor.name} con formato no soportado`);
+  const [rows, cols] = transposed ? [tensor.dims[1], tensor.dims[0]] : tensor.dims;
+  const [from, to] = rowRange(rows, slice);
+  const { out } = patch;
+  save(patch, tensor);
+
+  // The value that means 0 for column c: 0, or the (per-tensor / per-column) zero point
+  let zeros = null;
+  if (zeroPoint) {
+    const raw = out.subarray(zeroPoint.offset, zeroPoint.offset + zeroPoint.length);
+    zeros = zeroPoint.length === 1 ? new Uint8Array(cols).fill(raw[0]) : raw;
+  }
+  const write = (index, c) => {
+    const at = tensor.offset + index * size;
+    if (zeros) out[at] = zeros[c];
+    else out.fill(0, at, at + size);
+  };
+
+  for (let r = from; r < to; r++) {
+    for (let c = 0; c < cols; c++) write(transposed ? c * rows + r : r * cols + c, c);
+  }
+  patch.zeroed++;
+}
+
+/**
+ * MatMulNBits stores the weight as [N, K / block_size] blocks with one scale
+ * each: a block with scale 0 dequantizes to 0 whatever its bits are.
+ */
+function zeroBlocks(patch, scales, { K, N, block_size: blockSize }, slice) {
+  if (!scales || !K || !N || !blockSize) throw new Error('MatMulNBits sin escalas reconocibles');
+  const [from, to] = rowRange(K, slice);
+  if (from % blockSize !== 0 || to % blockSize !== 0) {
+    throw new Error(`La cabeza no coincide con los bloques de ${blockSize} del peso cuantizado`);
+  }
+  const blocks = Math.ceil(K / blockSize);
+  const size = BYTES[scales.dataType];
+  save(patch, scales);
+  for (let n = 0; n < N; n++) {
+    const start = scales.offset + (n * blocks + from / blockSize) * size;
+    patch.out.fill(0, start, start + ((to - from) / blockSize) * size);
+  }
+  patch.zeroed++;
+}
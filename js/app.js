@@ -4,10 +4,16 @@
  */
 
 import * as models from './models.js';
+import { describeArch } from './architectures.js';
 import * as pipeline from './pipeline.js';
+import * as branches from './branches.js';
+import * as compare from './compare.js';
+import * as cache from './cache.js';
+import * as tokenizers from './tokenizers.js';
 import * as config from './config.js';
 import * as viz from './viz.js';
-import { getTokenColor } from './utils.js';
+import { getTokenColor, surprisalBits, surprisalColor, attributionColor, formatBytes, escapeHtml } from './utils.js';
+import { hex, splitCharLines } from './bytes.js';
 
 // ─── DOM Elements ───
 
@@ -17,24 +23,57 @@ const loadingOverlay = $('loading-overlay');
 const loadingTitle = $('loading-title');
 const loadingBar = $('loading-bar');
 const loadingText = $('loading-text');
+const loadingCancel = $('loading-cancel');
 
 const modelName = $('model-name');
 const badgeLayers = $('badge-layers');
 const badgeDim = $('badge-dim');
 const badgeVocab = $('badge-vocab');
+const badgeArch = $('badge-arch');
 const badgeParams = $('badge-params');
 const footerModel = $('footer-model');
+const footerBackend = $('footer-backend');
+const footerSeed = $('footer-seed');
 
 const sidebarClose = $('sidebar-close');
 const sidebarOpen = $('sidebar-open');
 const sidebar = $('sidebar');
 const modelSelect = $('model-select');
+const dtypeSelect = $('dtype-select');
+const dtypeStatus = $('dtype-status');
+const deviceSelect = $('device-select');
+const threadsSelect = $('threads-select');
+const deviceStatus = $('device-status');
+const compareSelect = $('compare-select');
+const compareDtype = $('compare-dtype');
+const compareStatus = $('compare-status');
 const tempSlider = $('temp-slider');
 const tempValue = $('temp-value');
 const topkSlider = $('topk-slider');
 const topkValue = $('topk-value');
 const toppSlider = $('topp-slider');
 const toppValue = $('topp-value');
+const headSelect = $('head-select');
+const attributionSelect = $('attribution-select');
+const attributionStatus = $('attribution-status');
+const seedInput = $('seed-input');
+const seedReroll = $('seed-reroll');
+const decodingSelect = $('decoding-select');
+const biasCount = $('bias-count');
+const biasSearch = $('bias-search');
+const biasStatus = $('bias-status');
+const biasResults = $('bias-results');
+const biasList = $('bias-list');
+const beamOptions = $('beam-options');
+const modelInput = $('model-input');
+const modelAdd = $('model-add');
+const modelDrop = $('model-drop');
+const modelFiles = $('model-files');
+const modelStatus = $('model-status');
+const cachePanel = $('cache-panel');
+const cacheTotal = $('cache-total');
+const cacheUsage = $('cache-usage');
+const cacheList = $('cache-list');
 
 const welcomeState = $('welcome-state');
 
@@ -42,10 +81,22 @@ const queryInput = $('query-input');
 const generateBtn = $('generate-btn');
 const moreBtn = $('more-btn');
 const resetBtn = $('reset-btn');
+const tokenizersBtn = $('tokenizers-btn');
 const tokenCount = $('token-count');
+const perplexityEl = $('perplexity');
+const ablationStatus = $('ablation-status');
 const inputTokens = $('input-tokens');
 
+const vizEl = $('viz');
 const networkCanvas = $('network-canvas');
+const graphLabel = $('graph-label');
+const graphCompare = $('graph-compare');
+const compareLabel = $('compare-label');
+const compareCanvas = $('compare-canvas');
+const compareDiff = $('compare-diff');
+const compareKl = $('compare-kl');
+const compareRows = $('compare-rows');
+const compareNote = $('compare-note');
 const tooltipEl = $('tooltip');
 
 const embeddingModal = $('embedding-modal');
@@ -54,14 +105,39 @@ const modalTokenId = $('modal-token-id');
 const modalHeatmap = $('modal-heatmap');
 const modalClose = $('modal-close');
 const modalInfoText = $('modal-info-text');
+const modalTabs = $('modal-tabs');
 const heatmapTooltip = $('heatmap-tooltip');
 
+const bpeModal = $('bpe-modal');
+const bpeBadge = $('bpe-badge');
+const bpeClose = $('bpe-close');
+const bpeWords = $('bpe-words');
+const bpeSteps = $('bpe-steps');
+const bpeInfo = $('bpe-info');
+
+const tokenizersModal = $('tokenizers-modal');
+const tokenizersBadge = $('tokenizers-badge');
+const tokenizersClose = $('tokenizers-close');
+const tokenizersModels = $('tokenizers-models');
+const tokenizersRows = $('tokenizers-rows');
+const tokenizersInfo = $('tokenizers-info');
+
 const zoomInBtn = $('zoom-in');
 const zoomOutBtn = $('zoom-out');
 const zoomResetBtn = $('zoom-reset');
 
 const autoBtn = $('auto-btn');
 
+const statsPanel = $('stats');
+const statsList = $('stats-list');
+const statsWarning = $('stats-warning');
+
+const branchesPanel = $('branches');
+const branchesCount = $('branches-count');
+const branchesToggle = $('branches-toggle');
+const branchesTree = $('branches-tree');
+const branchesCompare = $('branches-compare');
+
 // Info panel elements
 const infoPanel = $('info-panel');
 const infoIcon = $('info-icon');
@@ -75,6 +151,7 @@ let isProcessing = false;
 let isAutoGenerating = false;
 let autoGenAbort = false;
 let hasGenerated = false;
+let loadCancelled = false;
 
 async function init() {
   console.log('[app] init start');
@@ -86,6 +163,9 @@ async function init() {
     console.error('[app] viz init error:', err);
   }
 
+  buildModelSelect();
+  setupBackendControls();
+  renderBiasList();
   setupEvents();
   console.log('[app] events setup');
 
@@ -95,33 +175,59 @@ async function init() {
 
 async function loadSelectedModel() {
   const modelId = modelSelect.value;
+  // What to go back to if the user cancels this load
+  const previous = { id: models.getLoadedModelId(), dtype: models.getLoadedDtype() };
   console.log('[app] loading model:', modelId);
 
   loadingOverlay.hidden = false;
   loadingOverlay.style.display = '';
   loadingBar.style.width = '0%';
+  loadCancelled = false;
+  loadingCancel.hidden = false;
+  fillDtypeSelect(dtypeSelect, modelId, models.getConfig(modelId).dtype);
 
   try {
+    const { name, dtype } = models.getConfig(modelId);
     await models.loadModel(modelId, (p) => {
       console.log('[app] progress:', p.phase, p.message);
-      loadingTitle.textContent = `Cargando ${models.MODEL_CONFIGS[modelId].name}...`;
+      loadingTitle.textContent = `Cargando ${name} (${dtype}, ${DEVICE_LABELS[config.get('device')]})...`;
       loadingText.textContent = p.message;
       if (p.progress != null) {
         loadingBar.style.width = p.progress + '%';
       }
-    });
+    }, backendOptions());
 
     console.log('[app] model loaded, updating UI');
+    addModelOption(modelId);
     updateModelInfo(modelId);
+    renderLoadStats();
+    renderBackend();
+    renderCache();
+    await keepBiasForTokenizer();
     console.log('[app] model info updated');
   } catch (err) {
+    if (loadCancelled && previous.id) {
+      // Back to the model loaded before, which comes from the cache
+      console.log('[app] model load cancelled, restoring:', previous.id);
+      if (previous.id === modelId) models.setDtype(modelId, previous.dtype);
+      modelSelect.value = previous.id;
+      config.set('modelId', previous.id);
+      return loadSelectedModel();
+    }
     console.error('[app] model load error:', err);
-    loadingText.textContent = 'Error: ' + err.message;
-    await new Promise(r => setTimeout(r, 3000));
+    loadingText.textContent = loadCancelled ? 'Carga cancelada' : 'Error: ' + err.message;
+    // The worker keeps the previous model: keep showing its dtype
+    const loaded = models.getLoadedDtype();
+    if (models.getLoadedModelId() === modelId && loaded) {
+      models.setDtype(modelId, loaded);
+      dtypeSelect.value = loaded;
+    }
+    await new Promise(r => setTimeout(r, loadCancelled ? 1000 : 3000));
   }
 
   // ALWAYS hide overlay
   console.log('[app] hiding overlay');
+  loadingCancel.hidden = true;
   loadingOverlay.hidden = true;
   loadingOverlay.style.display = 'none';
 
@@ -135,15 +241,143 @@ async function loadSelectedModel() {
   }
 }
 
+/** Stop the model download in progress (see loadSelectedModel for the way back). */
+function cancelLoad() {
+  loadCancelled = true;
+  loadingCancel.hidden = true;
+  loadingText.textContent = 'Cancelando...';
+  models.cancelLoad();
+}
+
+/**
+ * Register a hub id, a local folder or dropped files, add it to the
+ * selector and load it.
+ */
+async function addModel(source) {
+  if (isProcessing || isAutoGenerating) return;
+  setModelStatus('Leyendo config.json...');
+  modelAdd.disabled = true;
+  try {
+    const id = typeof source === 'string'
+      ? await models.registerModel(source)
+      : await models.registerLocalModel(source);
+    addModelOption(id);
+    modelSelect.value = id;
+    config.set('modelId', id);
+    setModelStatus(`${models.getConfig(id).name} registrado`);
+    await loadSelectedModel();
+  } catch (err) {
+    console.error('[app] local model error:', err);
+    setModelStatus('Error: ' + err.message, true);
+  } finally {
+    modelAdd.disabled = false;
+  }
+}
+
+function setModelStatus(text, isError = false) {
+  modelStatus.textContent = text;
+  modelStatus.classList.toggle('is-error', isError);
+  modelStatus.hidden = !text;
+}
+
+function addModelOption(id) {
+  const cfg = models.getConfig(id);
+  let option = [...modelSelect.options].find(o => o.value === id);
+  if (!option) {
+    option = new Option('', id);
+    modelSelect.add(option);
+  }
+  option.textContent = cfg.params ? `${cfg.name} (${cfg.params})` : cfg.name;
+
+  let compareOption = [...compareSelect.options].find(o => o.value === id);
+  if (!compareOption) {
+    compareOption = new Option('', id);
+    compareSelect.add(compareOption);
+  }
+  compareOption.textContent = option.textContent;
+}
+
+/** Fill the model selector from the registry. */
+function buildModelSelect() {
+  modelSelect.innerHTML = '';
+  for (const { id } of models.getAvailableModels()) addModelOption(id);
+  const saved = config.get('modelId');
+  modelSelect.value = models.getConfig(saved) ? saved : modelSelect.options[0].value;
+}
+
+/**
+ * Flatten a drop into [{ path, file }], walking dropped folders.
+ */
+async function collectDroppedFiles(dataTransfer) {
+  const files = [];
+
+  async function walk(entry, prefix) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({ path: prefix + entry.name, file });
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child, prefix + entry.name + '/');
+      } while (batch.length > 0);
+    }
+  }
+
+  const entries = [...dataTransfer.items].map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map(file => ({ path: file.name, file }));
+  }
+  for (const entry of entries) await walk(entry, '');
+  return files;
+}
+
 function updateModelInfo(modelId) {
-  const cfg = models.MODEL_CONFIGS[modelId];
+  const cfg = models.getConfig(modelId);
   if (!cfg) return;
   modelName.textContent = cfg.name;
   badgeLayers.textContent = `${cfg.layers} capas`;
   badgeDim.textContent = `${cfg.hidden_dim}d`;
   badgeVocab.textContent = `${cfg.vocab_size.toLocaleString()} vocab`;
   badgeParams.textContent = `${cfg.params} params`;
-  footerModel.textContent = cfg.name;
+  badgeArch.innerHTML = '';
+  if (cfg.arch) {
+    const labels = describeArch(cfg.arch);
+    const titles = {
+      positions: cfg.arch.positions === 'rope' ? `Rotary embeddings, theta ${cfg.arch.ropeTheta}` : `Matriz wpe de ${cfg.max_positions} posiciones`,
+      attention: `${cfg.heads} cabezas de Q, ${cfg.kv_heads} de K/V`,
+      mlp: `${cfg.hidden_dim}→${cfg.ffn_dim}→${cfg.hidden_dim}`,
+      norm: `eps ${cfg.norm_eps}`,
+    };
+    for (const key of ['positions', 'attention', 'norm', 'mlp']) {
+      const badge = document.createElement('span');
+      badge.className = 'badge badge--arch';
+      badge.textContent = labels[key];
+      badge.title = titles[key];
+      badgeArch.appendChild(badge);
+    }
+  }
+  footerModel.textContent = `${cfg.name} (${models.getLoadedDtype() ?? cfg.dtype})`;
+  updateHeadSelect(cfg);
+}
+
+function updateHeadSelect(cfg) {
+  const { attentions } = models.getCapabilities();
+  headSelect.innerHTML = '';
+  headSelect.disabled = !attentions;
+  if (!attentions) {
+    headSelect.add(new Option('No disponible en este modelo', 'avg'));
+    config.set('attentionHead', 'avg');
+    return;
+  }
+  headSelect.add(new Option('Promedio de cabezas', 'avg'));
+  for (let h = 0; h < cfg.heads; h++) {
+    headSelect.add(new Option(`Cabeza ${h + 1}`, String(h)));
+  }
+  const head = config.get('attentionHead');
+  if (head !== 'avg' && head >= cfg.heads) config.set('attentionHead', 'avg');
+  headSelect.value = String(config.get('attentionHead'));
 }
 
 // ─── Pipeline ───
@@ -160,19 +394,7 @@ async function runPipeline() {
   try {
     const result = await pipeline.run(text);
     console.log('[app] pipeline done, tokens:', result.tokens.length, 'preds:', result.predictions.length);
-
-    // Hide welcome state on first generation
-    if (welcomeState && !welcomeState.hidden) {
-      welcomeState.hidden = true;
-    }
-    hasGenerated = true;
-
-    renderInputTokens(result.tokens);
-    tokenCount.textContent = `${result.tokens.length} tokens`;
-
-    viz.build(result.tokens, result.modelConfig, result.predictions);
-    moreBtn.disabled = false;
-    autoBtn.disabled = false;
+    showResult(result);
   } catch (err) {
     console.error('[app] pipeline error:', err);
   } finally {
@@ -182,50 +404,1209 @@ async function runPipeline() {
   }
 }
 
-function renderInputTokens(tokens) {
+/**
+ * Continue the current sequence with one token (no re-tokenization).
+ * `options.forced` marks a token the user clicked instead of the sampled one.
+ */
+async function runStep(tokenId, options) {
+  if (isProcessing) return;
+
+  isProcessing = true;
+  generateBtn.disabled = true;
+  try {
+    const result = await pipeline.step(tokenId, options);
+    console.log('[app] step done, tokens:', result.tokens.length, 'cached:', result.cachedTokens);
+    showResult(result);
+  } finally {
+    isProcessing = false;
+    generateBtn.disabled = isAutoGenerating;
+  }
+}
+
+/**
+ * Advance the beam search one token. Returns false once every hypothesis
+ * has finished.
+ */
+async function runBeamStep() {
+  if (isProcessing) return false;
+
+  isProcessing = true;
+  generateBtn.disabled = true;
+  try {
+    const result = await pipeline.beamStep();
+    if (!result) return false;
+    if (result.done) {
+      console.log('[app] beam search finished');
+      viz.setBeamTree(result.beams);
+      return false;
+    }
+    console.log('[app] beam step done, tokens:', result.tokens.length, 'live beams:', result.beams.live.length);
+    queryInput.value = pipeline.getCurrentText();
+    showResult(result);
+    return true;
+  } finally {
+    isProcessing = false;
+    generateBtn.disabled = isAutoGenerating;
+  }
+}
+
+function showResult(result) {
+  // Hide welcome state on first generation
+  if (welcomeState && !welcomeState.hidden) {
+    welcomeState.hidden = true;
+  }
+  hasGenerated = true;
+
+  shownTokens = result.tokens;
+  ablationSeq++;
+  ablated = null;
+  ablationStatus.hidden = true;
+  renderInputTokens(result.tokens);
+  tokenCount.textContent = `${result.tokens.length} tokens`;
+  perplexityEl.hidden = result.perplexity == null;
+  if (result.perplexity != null) perplexityEl.textContent = `perplejidad ${result.perplexity.toFixed(2)}`;
+  footerSeed.textContent = result.seed;
+  renderLoadStats(result);
+
+  viz.build(result.tokens, result.modelConfig, result.predictions, result);
+  renderStats(result.sampling.stats);
+  moreBtn.disabled = isAutoGenerating;
+  autoBtn.disabled = false;
+  renderBranches();
+  graphLabel.textContent = paneLabel('A', result);
+  if (compare.isOpen()) runComparison().catch(err => console.error('[app] compare error:', err));
+  // Occlusion costs a forward pass per token: auto-generation attributes once it stops
+  if (!isAutoGenerating) runAttribution();
+}
+
+function renderInputTokens(tokens, attribution = null) {
   inputTokens.innerHTML = '';
   tokens.forEach((t, i) => {
     const chip = document.createElement('span');
-    chip.className = 'token-chip';
+    chip.className = t.forced ? 'token-chip token-chip--forced' : 'token-chip';
     chip.style.backgroundColor = getTokenColor(i);
     chip.style.color = '#000';
-    chip.textContent = t.text.trim() || '⎵';
-    chip.title = `ID: ${t.id}`;
+    chip.textContent = t.label;
+    if (t.leadingSpace && t.label !== '⎵') chip.classList.add('token-chip--space');
+    if (t.split) chip.classList.add(`token-chip--split-${t.split.part}`);
+    if (t.forced) chip.title = `ID: ${t.id} · elegido a mano (paso ${t.step + 1})`;
+    else if (t.seed != null) chip.title = `ID: ${t.id} · generado con semilla ${t.seed} (paso ${t.step + 1})`;
+    else chip.title = `ID: ${t.id}`;
+    if (t.logProb != null) {
+      const bits = surprisalBits(t.logProb);
+      chip.classList.add('token-chip--scored');
+      chip.style.setProperty('--surprisal', surprisalColor(bits));
+      chip.title += ` · p = ${(Math.exp(t.logProb) * 100).toFixed(2)}% · sorpresa ${bits.toFixed(2)} bits`;
+    }
+    const score = attribution?.scores[i];
+    if (score) {
+      chip.style.backgroundColor = attributionColor(score.drop / attribution.max);
+      chip.title += ` · sin el, p("${attribution.word}") ${score.drop >= 0 ? '-' : '+'}${(Math.abs(score.drop) * 100).toFixed(2)} pp`;
+    }
+    chip.title += ' · clic: merges BPE de su palabra';
+    if (t.bytes?.length) chip.title += `\nbytes ${hex(t.bytes)} · ${JSON.stringify(t.raw)}${t.leadingSpace ? ' · empieza con espacio' : ''}`;
+    splitCharLines(t).forEach(line => { chip.title += `\nparte de ${line}`; });
+    chip.addEventListener('click', () => showBpeInspector(i));
     inputTokens.appendChild(chip);
   });
 }
 
+// ─── Attribution ───
+
+let shownTokens = []; // tokens of the result on screen, for re-coloring the chips
+let attributionSeq = 0;
+
+/**
+ * Occlusion attribution for the current prediction (pipeline.attribute),
+ * drawn on the token nodes and chips. Clears it when turned off.
+ */
+async function runAttribution() {
+  const seq = ++attributionSeq;
+  const mode = config.get('attribution');
+  if (mode === 'off' || !hasGenerated) {
+    showAttribution(null);
+    setAttributionStatus('');
+    return;
+  }
+
+  setAttributionStatus('Calculando...');
+  try {
+    const attribution = await pipeline.attribute(mode, (p) => {
+      if (seq === attributionSeq) setAttributionStatus(`Calculando... ${p.done}/${p.total}`);
+    });
+    if (seq !== attributionSeq || !hasGenerated || !attribution) return;
+    showAttribution(attribution);
+    setAttributionStatus(`Explica "${attribution.word}" (${(attribution.base * 100).toFixed(1)}%)`);
+    console.log('[app] attribution done:', mode, attribution.scores.length, 'tokens');
+  } catch (err) {
+    console.error('[app] attribution error:', err);
+    if (seq === attributionSeq) setAttributionStatus('Error: ' + err.message, true);
+  }
+}
+
+function showAttribution(attribution) {
+  viz.setAttribution(attribution);
+  renderInputTokens(shownTokens, attribution);
+}
+
+function setAttributionStatus(text, isError = false) {
+  attributionStatus.textContent = text;
+  attributionStatus.classList.toggle('is-error', isError);
+  attributionStatus.hidden = !text;
+}
+
+// ─── Ablation ───
+
+let ablated = null; // { layer, head } knocked out in the current prediction
+let ablationSeq = 0;
+
+/**
+ * Knock out the clicked layer, or the head picked under ATENCION, and show
+ * the model's distribution without it. Clicking it again restores it.
+ */
+async function toggleAblation(layer) {
+  if (!hasGenerated) return;
+  const attentionHead = config.get('attentionHead');
+  const head = attentionHead === 'avg' ? null : attentionHead;
+  const seq = ++ablationSeq;
+  const label = head === null ? `sin L${layer + 1}` : `sin L${layer + 1}·H${head + 1}`;
+
+  if (ablated?.layer === layer && ablated.head === head) {
+    ablated = null;
+    viz.setAblation(null);
+    ablationStatus.hidden = true;
+    return;
+  }
+
+  setAblationStatus(`${label}: calculando...`);
+  try {
+    const result = await pipeline.ablate(layer, head, (p) => {
+      if (seq === ablationSeq) setAblationStatus(`${label}: ${p.message}`);
+    });
+    if (seq !== ablationSeq || !result) return;
+    ablated = { layer, head };
+    viz.setAblation(result);
+    setAblationStatus(`${label} · KL ${result.kl.toFixed(3)} nats`);
+    console.log('[app] ablation done:', label, 'KL:', result.kl.toFixed(4));
+  } catch (err) {
+    console.error('[app] ablation error:', err);
+    if (seq === ablationSeq) setAblationStatus(`${label}: ${err.message}`, true);
+  }
+}
+
+function setAblationStatus(text, isError = false) {
+  ablationStatus.textContent = text;
+  ablationStatus.classList.toggle('is-error', isError);
+  ablationStatus.title = isError ? text : 'Click de nuevo en la capa para restaurarla';
+  ablationStatus.hidden = false;
+}
+
+// ─── Distribution Stats ───
+
+/** Fill the stats panel from sampling.stats (see sampling.js). */
+function renderStats(stats) {
+  const topK = config.get('topK');
+  const pct = (mass) => `${(Math.min(mass, 1) * 100).toFixed(1)}%`;
+  const rows = [
+    ['Entropia', `${stats.entropy.toFixed(2)} bits <span class="stats__sub">&rarr; ${stats.finalEntropy.toFixed(2)}</span>`,
+      'Incertidumbre de la distribucion tras la temperatura, en bits. La flecha da la de la distribucion final, despues de los filtros.'],
+    ['Perplejidad', stats.perplexity.toFixed(2),
+      '2^entropia: el modelo duda como si eligiera al azar entre este numero de tokens igual de probables.'],
+    ['Candidatos efectivos', stats.effective.toFixed(2),
+      '1 / &Sigma;p&sup2;: cuantos tokens pesan de verdad. Cerca de 1 si uno domina; crece cuando la masa se reparte.'],
+    [`Masa en top-k${topK > 0 ? ` (${topK})` : ''}`, pct(stats.topKMass),
+      'Parte de la distribucion (tras la temperatura) que sobrevive al corte top-k.'],
+    [`Masa en el nucleo (${config.get('topP').toFixed(2)})`, pct(stats.nucleusMass),
+      'Parte de la distribucion (tras la temperatura) que queda despues de top-k y top-p.'],
+    ['Margen de logits #1&minus;#2', stats.logitMargin.toFixed(2),
+      'Diferencia entre los dos logits crudos mas altos del modelo. Un margen grande es una prediccion segura.'],
+  ];
+  statsList.innerHTML = rows.map(([label, value, help]) => `<dt title="${help}">${label}</dt><dd>${value}</dd>`).join('');
+  statsWarning.hidden = stats.rescued == null;
+  statsWarning.textContent = stats.rescued == null ? ''
+    : `Las penalizaciones y prohibiciones descartaban todos los tokens: se mantiene solo el mas probable antes de ellas (ID ${stats.rescued}).`;
+  statsPanel.hidden = false;
+}
+
+// ─── Generation Tree ───
+
+let compareBranchId = null;
+
+/**
+ * Force a token picked from the output bars: continue from it as a new
+ * branch of the current node.
+ */
+async function forceToken(tokenId) {
+  if (isProcessing || isAutoGenerating || !pipeline.hasResults()) return;
+  try {
+    await runStep(tokenId, { forced: true });
+    queryInput.value = pipeline.getCurrentText();
+  } catch (err) {
+    console.error('[app] forced step error:', err);
+  }
+}
+
+async function gotoBranch(id) {
+  if (isProcessing || isAutoGenerating) return;
+  isProcessing = true;
+  try {
+    const result = await pipeline.gotoBranch(id);
+    if (!result) return;
+    console.log('[app] branch', id, 'tokens:', result.tokens.length);
+    queryInput.value = pipeline.getCurrentText();
+    showResult(result);
+  } catch (err) {
+    console.error('[app] branch error:', err);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+function renderBranches() {
+  const root = branches.getRoot();
+  branchesPanel.hidden = !root;
+  if (!root) return;
+  if (compareBranchId !== null && !branches.get(compareBranchId)) compareBranchId = null;
+
+  branchesCount.textContent = `${branches.size()} ${branches.size() === 1 ? 'nodo' : 'nodos'}`;
+  const path = new Set(branches.pathTo(branches.getCurrentId()));
+  branchesTree.innerHTML = '';
+  branchesTree.appendChild(branchItem(root, path));
+  renderComparison();
+}
+
+function branchItem(node, path) {
+  const li = document.createElement('li');
+  const row = document.createElement('div');
+  row.className = 'branches__row';
+  row.classList.toggle('is-path', path.has(node.id));
+  row.classList.toggle('is-current', node.id === branches.getCurrentId());
+  row.classList.toggle('is-compared', node.id === compareBranchId);
+  row.title = node.text;
+
+  const caret = document.createElement('span');
+  caret.className = 'branches__caret';
+  caret.textContent = node.children.length ? (node.collapsed ? '\u25b8' : '\u25be') : '';
+  caret.addEventListener('click', (e) => {
+    e.stopPropagation();
+    branches.toggleCollapsed(node.id);
+    renderBranches();
+  });
+
+  const label = document.createElement('span');
+  label.className = 'branches__label';
+  label.textContent = node.parent === null
+    ? `"${node.text}"`
+    : node.added.map(t => t.text).join('').replace(/\n/g, '\u21b5') || '\u2205';
+  row.append(caret, label);
+
+  if (node.forced) {
+    const tag = document.createElement('span');
+    tag.className = 'branches__tag';
+    tag.textContent = 'forzado';
+    row.appendChild(tag);
+  }
+
+  const prob = branchProb(node);
+  if (prob != null) {
+    const probEl = document.createElement('span');
+    probEl.className = 'branches__prob';
+    probEl.textContent = `${(prob * 100).toFixed(1)}%`;
+    probEl.title = 'Probabilidad del modelo para este token en el nodo padre';
+    row.appendChild(probEl);
+  }
+
+  if (node.parent !== null) {
+    const cmp = document.createElement('button');
+    cmp.className = 'branches__cmp';
+    cmp.textContent = '\u21c4';
+    cmp.title = 'Comparar con la rama actual';
+    cmp.addEventListener('click', (e) => {
+      e.stopPropagation();
+      compareBranchId = compareBranchId === node.id ? null : node.id;
+      renderBranches();
+    });
+    row.appendChild(cmp);
+  }
+
+  row.addEventListener('click', () => gotoBranch(node.id));
+  li.appendChild(row);
+
+  if (node.children.length && !node.collapsed) {
+    const ul = document.createElement('ul');
+    ul.className = 'branches__children';
+    node.children.forEach(id => ul.appendChild(branchItem(branches.get(id), path)));
+    li.appendChild(ul);
+  }
+  return li;
+}
+
+/** Model probability (T=1) of a one-token branch, read from its parent's bars. */
+function branchProb(node) {
+  if (node.parent === null || node.added.length !== 1) return null;
+  const parent = branches.get(node.parent);
+  const pred = parent.result.predictions.find(p => p.tokenId === node.added[0].id);
+  return pred ? pred.prob : null;
+}
+
+/**
+ * Side by side: the current branch and the compared one, after their last
+ * shared node, plus the sampling settings that differ between them.
+ */
+function renderComparison() {
+  const current = branches.get(branches.getCurrentId());
+  const other = compareBranchId !== null ? branches.get(compareBranchId) : null;
+  branchesCompare.hidden = !other || other === current;
+  if (branchesCompare.hidden) return;
+
+  const otherPath = new Set(branches.pathTo(other.id));
+  const shared = branches.pathTo(current.id).filter(id => otherPath.has(id)).pop();
+  const prefix = branches.get(shared).text;
+  const tail = (node) => `<span>\u2026${escapeHtml(prefix.slice(-24))}</span><mark>${escapeHtml(node.text.slice(prefix.length)) || '\u2205'}</mark>`;
+
+  const show = (value) => Array.isArray(value) ? `${value.length} sesgos` : value;
+  const diffs = Object.keys(current.params)
+    .filter(key => JSON.stringify(current.params[key]) !== JSON.stringify(other.params[key]))
+    .map(key => `${key}: ${show(current.params[key])} / ${show(other.params[key])}`);
+
+  branchesCompare.innerHTML =
+    `<strong>Actual</strong><div class="branches__compare-text">${tail(current)}</div>` +
+    `<strong>Comparada</strong><div class="branches__compare-text">${tail(other)}</div>` +
+    (diffs.length
+      ? `<strong>Configuracion distinta</strong> (actual / comparada):<br>${diffs.join('<br>')}`
+      : 'Misma configuracion de sampling en ambas ramas.');
+}
+
+// ─── Logit Bias ───
+
+const BIAS_DEFAULT = 5;
+let shownBias = []; // the list the editor last rendered or set
+let biasSearchSeq = 0;
+
+const quoteToken = (word) => `"${word.replace(/\n/g, '\u21b5')}"`;
+
+function setBias(entries) {
+  shownBias = entries;
+  config.set('logitBias', entries);
+  updateBiasCount();
+}
+
+function updateBiasCount() {
+  const entries = config.get('logitBias');
+  const bans = entries.filter(e => e.bias === -Infinity).length;
+  biasCount.textContent = entries.length === 0
+    ? 'off'
+    : [entries.length - bans && `${entries.length - bans} sesgos`, bans && `${bans} prohibidos`].filter(Boolean).join(', ');
+}
+
+async function searchBiasTokens() {
+  const query = biasSearch.value.trim();
+  const seq = ++biasSearchSeq;
+  biasResults.innerHTML = '';
+  if (!query || !models.getLoadedModelId()) {
+    biasStatus.hidden = true;
+    return;
+  }
+
+  biasStatus.hidden = false;
+  biasStatus.textContent = 'Buscando en el vocabulario...';
+  let matches;
+  try {
+    matches = await models.searchVocab(query);
+  } catch (err) {
+    console.error('[app] vocab search error:', err);
+    biasStatus.textContent = 'Error: ' + err.message;
+    return;
+  }
+  if (seq !== biasSearchSeq) return;
+
+  biasStatus.hidden = matches.length > 0;
+  biasStatus.textContent = 'Ningun token coincide';
+  for (const { tokenId, word } of matches) {
+    const li = document.createElement('li');
+    li.className = 'bias__result';
+    li.innerHTML = `<span class="bias__word"></span><span class="bias__id">${tokenId}</span>`;
+    li.querySelector('.bias__word').textContent = quoteToken(word);
+
+    const add = document.createElement('button');
+    add.className = 'bias__action';
+    add.textContent = `+${BIAS_DEFAULT}`;
+    add.title = 'Sumar un sesgo a este token';
+    add.addEventListener('click', () => addBias(tokenId, word, BIAS_DEFAULT));
+
+    const ban = document.createElement('button');
+    ban.className = 'bias__action';
+    ban.textContent = '\u2298';
+    ban.title = 'Prohibir este token';
+    ban.addEventListener('click', () => addBias(tokenId, word, -Infinity));
+
+    li.append(add, ban);
+    biasResults.appendChild(li);
+  }
+}
+
+function addBias(tokenId, word, bias) {
+  const entries = config.get('logitBias').filter(e => e.tokenId !== tokenId);
+  setBias([...entries, { tokenId, word, bias }]);
+  renderBiasList();
+}
+
+function updateBias(tokenId, bias) {
+  setBias(config.get('logitBias').map(e => e.tokenId === tokenId ? { ...e, bias } : e));
+}
+
+function renderBiasList() {
+  shownBias = config.get('logitBias');
+  updateBiasCount();
+  biasList.innerHTML = '';
+
+  for (const entry of shownBias) {
+    const li = document.createElement('li');
+    li.className = 'bias__entry';
+    const banned = entry.bias === -Infinity;
+
+    const head = document.createElement('div');
+    head.className = 'bias__entry-head';
+    head.innerHTML = `<span class="bias__word"></span><span class="bias__id">${entry.tokenId}</span><span class="bias__value"></span>`;
+    head.querySelector('.bias__word').textContent = quoteToken(entry.word);
+    const valueEl = head.querySelector('.bias__value');
+    const showValue = (bias) => {
+      valueEl.textContent = bias === -Infinity ? 'prohibido' : `${bias > 0 ? '+' : ''}${bias}`;
+      valueEl.classList.toggle('is-negative', bias < 0);
+    };
+    showValue(entry.bias);
+
+    const ban = document.createElement('button');
+    ban.className = 'bias__action';
+    ban.classList.toggle('is-active', banned);
+    ban.textContent = '\u2298';
+    ban.title = banned ? 'Quitar la prohibicion' : 'Prohibir este token';
+    ban.addEventListener('click', () => {
+      updateBias(entry.tokenId, banned ? BIAS_DEFAULT : -Infinity);
+      renderBiasList();
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'bias__action';
+    remove.textContent = '\u00d7';
+    remove.title = 'Quitar';
+    remove.addEventListener('click', () => {
+      setBias(config.get('logitBias').filter(e => e.tokenId !== entry.tokenId));
+      renderBiasList();
+    });
+    head.append(ban, remove);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'config__slider';
+    slider.min = -100;
+    slider.max = 100;
+    slider.step = 1;
+    slider.value = banned ? -100 : entry.bias;
+    slider.disabled = banned;
+    slider.addEventListener('input', () => {
+      const bias = parseInt(slider.value, 10);
+      showValue(bias);
+      updateBias(entry.tokenId, bias);
+    });
+
+    li.append(head, slider);
+    biasList.appendChild(li);
+  }
+}
+
+/**
+ * Biases name token ids of the tokenizer they were picked with: after a
+ * model change keep only those that still decode to the same text.
+ */
+async function keepBiasForTokenizer() {
+  const entries = config.get('logitBias');
+  if (entries.length === 0) return;
+  const words = await models.decodeTokens(entries.map(e => e.tokenId));
+  const kept = entries.filter((e, i) => words[i] === e.word);
+  if (kept.length === entries.length) return;
+  console.log('[app] dropped', entries.length - kept.length, 'logit biases from another tokenizer');
+  setBias(kept);
+  renderBiasList();
+}
+
+// ─── Comparison Mode ───
+
+let compareViz = null; // second viz.js instance, drawing model B
+let compareSeq = 0;
+
+/**
+ * viz.js keeps its state at module level, so a distinct specifier gives the
+ * comparison pane its own independent copy of the module.
+ */
+async function getCompareViz() {
+  if (!compareViz) {
+    compareViz = await import('./viz.js?compare');
+    compareViz.init(compareCanvas, tooltipEl, null);
+    compareViz.onHoverZone(updateInfoPanel);
+  }
+  return compareViz;
+}
+
+async function setCompareModel(id) {
+  if (!id) {
+    compare.close();
+    compareDtype.hidden = true;
+    showSplit(false);
+    console.log('[app] compare closed');
+    return;
+  }
+
+  const dtype = await defaultCompareDtype(id);
+  await fillDtypeSelect(compareDtype, id, dtype);
+  compareDtype.hidden = false;
+  await openComparison(id, dtype);
+}
+
+/**
+ * The dtype B starts in: the model's own, or another one when it is the
+ * model A already runs (comparing it with itself only makes sense that way).
+ */
+async function defaultCompareDtype(id) {
+  const own = models.getConfig(id).dtype;
+  if (id !== models.getLoadedModelId()) return own;
+  try {
+    const variants = await models.getVariants(id);
+    return variants.find(v => v.dtype !== models.getLoadedDtype())?.dtype ?? own;
+  } catch {
+    return own;
+  }
+}
+
+async function openComparison(id, dtype) {
+  const name = `${models.getConfig(id).name} ${dtype}`;
+  compareSelect.disabled = true;
+  compareDtype.disabled = true;
+  setCompareStatus(`Cargando ${name}...`);
+  try {
+    await compare.open(id, { dtype, ...backendOptions() }, (p) => {
+      if (p.progress != null) setCompareStatus(`Cargando ${name}... ${Math.round(p.progress)}%`);
+    });
+    console.log('[app] compare model loaded:', id, dtype);
+    setCompareStatus('');
+    await getCompareViz();
+    showSplit(true);
+    if (pipeline.hasResults()) await runComparison();
+  } catch (err) {
+    console.error('[app] compare load error:', err);
+    compare.close();
+    compareSelect.value = '';
+    compareDtype.hidden = true;
+    showSplit(false);
+    setCompareStatus('Error: ' + err.message, true);
+  } finally {
+    compareSelect.disabled = false;
+    compareDtype.disabled = false;
+  }
+}
+
+function setCompareStatus(text, isError = false) {
+  compareStatus.textContent = text;
+  compareStatus.classList.toggle('is-error', isError);
+  compareStatus.hidden = !text;
+}
+
+function showSplit(on) {
+  vizEl.classList.toggle('is-split', on);
+  graphCompare.hidden = !on;
+  graphLabel.hidden = !on;
+  if (!on) {
+    compareDiff.hidden = true;
+    compareViz?.clear();
+  }
+  viz.resize();
+  compareViz?.resize();
+}
+
+function paneLabel(side, result) {
+  const { name, dtype } = result.modelConfig;
+  const parts = [`${side} · ${name} ${dtype}`];
+  if (result.perplexity != null) parts.push(`perplejidad ${result.perplexity.toFixed(2)}`);
+  parts.push(`${Math.round(result.forwardMs)} ms`);
+  return parts.join(' · ');
+}
+
+/** Run the current text through model B and diff its next token against A. */
+async function runComparison() {
+  const seq = ++compareSeq;
+  const b = await compare.run(pipeline.getCurrentText());
+  if (!b || seq !== compareSeq) return;
+
+  const bViz = await getCompareViz();
+  bViz.build(b.tokens, b.modelConfig, b.predictions, b);
+  compareLabel.textContent = paneLabel('B', b);
+
+  const d = await compare.diff({ logits: pipeline.getLastLogits(), ids: pipeline.getLastIds() }, b);
+  if (seq !== compareSeq) return;
+  renderDiff(d);
+  console.log('[app] compare done, KL(A||B):', d.klAB.toFixed(3), d.exact ? '(exact)' : '(aligned)');
+}
+
+function renderDiff(d) {
+  const bound = d.exact ? '' : '≥ ';
+  compareKl.textContent = `KL(A‖B) ${bound}${d.klAB.toFixed(3)} · KL(B‖A) ${bound}${d.klBA.toFixed(3)} nats`;
+  compareKl.title = d.exact
+    ? 'Divergencia exacta sobre todo el vocabulario'
+    : 'Cota inferior: solo cuenta los tokens emparejados por texto y un resto agrupado';
+
+  const pct = (p) => p == null ? '—' : `${(p * 100).toFixed(1)}%`;
+  const rank = (r) => r == null ? '—' : `#${r}`;
+  compareRows.innerHTML = '';
+  for (const row of d.rows) {
+    const tr = document.createElement('tr');
+    const cells = [quoteToken(row.word), pct(row.probA), pct(row.probB), '', '', ''];
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    const [, , , deltaCell, logitCell, rankCell] = tr.children;
+    if (row.probA != null && row.probB != null) {
+      const delta = row.probB - row.probA;
+      deltaCell.textContent = `${delta >= 0 ? '+' : ''}${(delta * 100).toFixed(1)}`;
+      deltaCell.className = delta >= 0 ? 'compare-diff__up' : 'compare-diff__down';
+    } else {
+      deltaCell.textContent = '—';
+    }
+    if (row.logitA != null) {
+      const shift = row.logitB - row.logitA;
+      logitCell.textContent = `${shift >= 0 ? '+' : ''}${shift.toFixed(2)}`;
+      logitCell.title = `logit ${row.logitA.toFixed(2)} → ${row.logitB.toFixed(2)}`;
+    } else {
+      logitCell.textContent = '—';
+    }
+    rankCell.textContent = `${rank(row.rankA)} → ${rank(row.rankB)}`;
+    if (row.rankA != null && row.rankB != null && row.rankA !== row.rankB) {
+      rankCell.className = row.rankB < row.rankA ? 'compare-diff__up' : 'compare-diff__down';
+    }
+    compareRows.appendChild(tr);
+  }
+
+  compareNote.textContent = d.exact
+    ? `Mismo vocabulario y mismos tokens: probabilidades del modelo (T = 1, antes de los filtros), KL y rankings exactos sobre todo el vocabulario. Logits: |Δ| medio ${d.logitDelta.mean.toFixed(3)}, maximo ${d.logitDelta.max.toFixed(3)}.`
+    : `Tokenizers distintos: los tokens se emparejan por texto entre los mas probables de cada modelo y el resto se agrupa, asi que la KL es una cota inferior. "—" = fuera de los emparejados.`;
+  compareDiff.hidden = false;
+}
+
+// ─── Precision (dtype) ───
+
+/**
+ * List in `select` the dtypes model `id` ships, with their size, and choose
+ * `selected`. Until the list arrives only `selected` is offered.
+ */
+async function fillDtypeSelect(select, id, selected) {
+  select.dataset.model = id;
+  const setOptions = (variants) => {
+    if (select.dataset.model !== id) return;
+    select.innerHTML = '';
+    for (const { dtype, size } of variants) {
+      select.add(new Option(size ? `${dtype} · ${formatBytes(size)}` : dtype, dtype));
+    }
+    select.value = selected;
+  };
+
+  setOptions(models.getConfig(id).variants || [{ dtype: selected, size: null }]);
+  try {
+    setOptions(await models.getVariants(id));
+  } catch (err) {
+    console.warn('[app] dtype list unavailable:', err.message);
+  }
+}
+
+/** Size and load time of the loaded model, plus the last forward pass of `result`. */
+function renderLoadStats(result = null) {
+  const stats = models.getLoadStats();
+  dtypeStatus.hidden = !stats;
+  if (!stats) return;
+  const parts = [];
+  if (stats.bytes) parts.push(formatBytes(stats.bytes));
+  parts.push(`carga ${(stats.loadMs / 1000).toFixed(1)} s`);
+  if (result) parts.push(`forward ${Math.round(result.forwardMs)} ms`);
+  dtypeStatus.textContent = parts.join(' · ');
+  dtypeStatus.title = result
+    ? `El ultimo forward proceso ${result.tokens.length - result.cachedTokens} tokens nuevos (${result.cachedTokens} salieron de la cache KV)`
+    : '';
+}
+
+// ─── Backend ───
+
+const DEVICE_LABELS = { wasm: 'WASM', webgpu: 'WebGPU' };
+
+/** Backend settings for models.loadModel() / compare.open(). */
+function backendOptions() {
+  return { device: config.get('device'), numThreads: config.get('numThreads') };
+}
+
+/**
+ * Offer one to hardwareConcurrency WASM threads and mark WebGPU when this
+ * browser has no adapter (it can still be picked: the load falls back).
+ */
+function setupBackendControls() {
+  const cores = navigator.hardwareConcurrency || 1;
+  for (let n = 1; n <= cores; n++) threadsSelect.add(new Option(`${n} ${n === 1 ? 'hilo' : 'hilos'}`, n));
+  threadsSelect.value = config.get('numThreads');
+  deviceSelect.value = config.get('device');
+  threadsSelect.disabled = config.get('device') !== 'wasm';
+
+  const webgpu = deviceSelect.querySelector('option[value="webgpu"]');
+  Promise.resolve(navigator.gpu?.requestAdapter()).then(
+    adapter => { if (!adapter) webgpu.textContent = 'WebGPU (no disponible)'; },
+    () => { webgpu.textContent = 'WebGPU (no disponible)'; }
+  );
+}
+
+/** Show the backend the loaded model actually runs on, and why if it fell back. */
+function renderBackend() {
+  const stats = models.getLoadStats();
+  if (!stats) return;
+  const label = stats.threads
+    ? `${DEVICE_LABELS[stats.device]} · ${stats.threads} ${stats.threads === 1 ? 'hilo' : 'hilos'}`
+    : DEVICE_LABELS[stats.device];
+  footerBackend.textContent = label;
+  deviceStatus.textContent = stats.fallback ? `WebGPU no disponible (${stats.fallback}): usando ${label}` : `Activo: ${label}`;
+  deviceStatus.classList.toggle('is-error', !!stats.fallback);
+  deviceStatus.hidden = false;
+}
+
+/** Reload both models on the new backend settings. */
+async function reloadBackend() {
+  await loadSelectedModel();
+  if (compare.isOpen()) await openComparison(compare.getModelId(), compare.getDtype());
+}
+
+// ─── Model Cache ───
+
+let cacheSeq = 0;
+
+/** Registry entry a cached model belongs to: same hub id, or same folder URL. */
+function registryEntryFor(model) {
+  return models.getAvailableModels().find(m => m.id === model || m.url?.replace(/\/$/, '') === model) ?? null;
+}
+
+/** List what Cache Storage holds per model, with sizes, and the origin's usage. */
+async function renderCache() {
+  const seq = ++cacheSeq;
+  const [cached, storage] = await Promise.all([cache.listModels(), cache.estimate()]);
+  if (seq !== cacheSeq) return;
+
+  const total = cached.reduce((sum, m) => sum + m.size, 0);
+  cacheTotal.textContent = cached.length ? `${cached.length} · ${formatBytes(total)}` : 'vacia';
+  cacheUsage.hidden = !storage?.quota;
+  if (storage?.quota) {
+    cacheUsage.textContent = `Este sitio usa ${formatBytes(storage.usage)} de ${formatBytes(storage.quota)} disponibles`;
+  }
+
+  cacheList.innerHTML = '';
+  for (const { model, size, files } of cached) {
+    const entry = registryEntryFor(model);
+    const loaded = entry && (entry.id === models.getLoadedModelId() || entry.id === compare.getModelId());
+
+    const li = document.createElement('li');
+    li.className = loaded ? 'cache__model is-loaded' : 'cache__model';
+    const details = document.createElement('details');
+    const head = document.createElement('summary');
+    head.className = 'cache__head';
+    head.innerHTML = '<span class="cache__name"></span><span class="cache__size"></span>';
+    head.querySelector('.cache__name').textContent = entry?.name ?? model;
+    head.querySelector('.cache__name').title = loaded ? `${model} · cargado ahora (sigue en memoria si lo borras)` : model;
+    head.querySelector('.cache__size').textContent = formatBytes(size);
+
+    const remove = document.createElement('button');
+    remove.className = 'cache__delete';
+    remove.textContent = '\u00d7';
+    remove.title = `Borrar los ${files.length} archivos de la cache`;
+    remove.addEventListener('click', async (e) => {
+      e.preventDefault();
+      remove.disabled = true;
+      const deleted = await cache.deleteModel(model);
+      console.log('[app] cache: deleted', deleted, 'files of', model);
+      renderCache();
+    });
+    head.appendChild(remove);
+
+    const list = document.createElement('ul');
+    list.className = 'cache__files';
+    for (const file of files) {
+      const row = document.createElement('li');
+      row.className = 'cache__file';
+      row.innerHTML = '<span></span><span></span>';
+      row.firstChild.textContent = file.path;
+      row.firstChild.title = file.url;
+      row.lastChild.textContent = formatBytes(file.size);
+      list.appendChild(row);
+    }
+
+    details.append(head, list);
+    li.appendChild(details);
+    cacheList.appendChild(li);
+  }
+}
+
+// ─── Tokenizer Comparison ───
+
+const tokenizersExcluded = new Set(); // registered models unticked in the comparison
+let tokenizersSeq = 0;
+
+/** Open the tokenizer comparison with one toggle per registered model. */
+function showTokenizers() {
+  tokenizersModal.hidden = false;
+  tokenizersModels.innerHTML = '';
+  for (const { id, name } of models.getAvailableModels()) {
+    const label = document.createElement('label');
+    label.className = 'tokenizers__model';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = !tokenizersExcluded.has(id);
+    box.addEventListener('change', () => {
+      if (box.checked) tokenizersExcluded.delete(id);
+      else tokenizersExcluded.add(id);
+      runTokenizers();
+    });
+    label.append(box, name);
+    tokenizersModels.appendChild(label);
+  }
+  runTokenizers();
+}
+
+async function runTokenizers() {
+  const seq = ++tokenizersSeq;
+  const text = queryInput.value;
+  const ids = models.getAvailableModels().map(m => m.id).filter(id => !tokenizersExcluded.has(id));
+  tokenizersBadge.textContent = '';
+  if (!text || ids.length === 0) {
+    tokenizersRows.innerHTML = '';
+    tokenizersInfo.textContent = 'Escribe un prompt y elige al menos un modelo.';
+    return;
+  }
+
+  tokenizersInfo.textContent = `Cargando ${ids.length === 1 ? 'el tokenizer' : `${ids.length} tokenizers`} (sin los pesos del modelo)...`;
+  const rows = await tokenizers.run(text, ids);
+  if (seq !== tokenizersSeq) return;
+  renderTokenizers(rows, text);
+}
+
+/**
+ * One row per tokenizer: the prompt cut into its tokens (colored like the
+ * input chips, one column per character so boundaries line up), its ids and
+ * how many tokens it needs next to the cheapest tokenizer.
+ */
+function renderTokenizers(rows, text) {
+  tokenizersRows.innerHTML = '';
+  const chars = Array.from(text);
+  const ok = rows.filter(r => !r.error);
+  const fewest = Math.min(...ok.map(r => r.ids.length));
+
+  for (const row of rows) {
+    const el = document.createElement('div');
+    const head = document.createElement('div');
+    head.className = 'tokenizers__head';
+    const name = document.createElement('span');
+    name.className = 'tokenizers__name';
+    name.textContent = row.name;
+    head.appendChild(name);
+    el.appendChild(head);
+    tokenizersRows.appendChild(el);
+
+    if (row.error) {
+      const error = document.createElement('span');
+      error.className = 'tokenizers__error';
+      error.textContent = `No se pudo cargar: ${row.error}`;
+      head.appendChild(error);
+      continue;
+    }
+
+    const count = row.ids.length;
+    const stats = document.createElement('span');
+    stats.textContent = `${count} tokens · ${(chars.length / count).toFixed(2)} caracteres/token`;
+    const delta = document.createElement('span');
+    delta.className = 'tokenizers__delta';
+    delta.classList.toggle('is-best', count === fewest);
+    delta.textContent = count === fewest ? 'el que menos' : `+${Math.round((count / fewest - 1) * 100)}%`;
+    head.append(stats, delta);
+
+    const line = document.createElement('div');
+    line.className = 'tokenizers__text';
+    const idsLine = document.createElement('div');
+    idsLine.className = 'tokenizers__ids';
+    row.tokens.forEach((t, i) => {
+      const color = getTokenColor(i);
+      const span = document.createElement('span');
+      span.className = 'tokenizers__token';
+      span.title = `ID: ${t.id} · ${t.special ? 'token especial' : `${JSON.stringify(t.raw)} · bytes ${hex(t.bytes)}`}`;
+      splitCharLines(t).forEach(part => { span.title += `\nparte de ${part}`; });
+      if (t.start === t.end) {
+        span.classList.add('tokenizers__token--empty');
+        span.style.borderColor = color;
+      } else {
+        span.style.backgroundColor = color;
+        span.textContent = chars.slice(t.start, t.end).join('').replace(/\n/g, '↵');
+      }
+      line.appendChild(span);
+
+      const id = document.createElement('span');
+      id.style.color = color;
+      id.textContent = `${i > 0 ? ' ' : ''}${t.id}`;
+      idsLine.appendChild(id);
+    });
+    el.append(line, idsLine);
+  }
+
+  // Token boundaries every tokenizer agrees on (cuts inside the text)
+  const cuts = ok.map(r => new Set(r.tokens.map(t => t.end).filter(end => end > 0 && end < chars.length)));
+  const shared = cuts.length ? [...cuts[0]].filter(c => cuts.every(set => set.has(c))).length : 0;
+  tokenizersBadge.textContent = `${ok.length} tokenizers · ${chars.length} caracteres`;
+  tokenizersInfo.textContent = 'Cada tokenizer aprendio su vocabulario con otros textos: los entrenados sobre todo en ingles parten el espanol en mas trozos, y cada token de mas es un paso de computo y un trozo de contexto. ' +
+    'Cada columna es un caracter del prompt, asi que los cortes que caen en la misma columna son limites compartidos' +
+    (ok.length > 1 ? ` (${shared} en todos)` : '') +
+    '. Una raya es un token especial o uno que solo termina un caracter partido en bytes.';
+}
+
+function closeTokenizers() {
+  tokenizersSeq++;
+  tokenizersModal.hidden = true;
+}
+
+// ─── BPE Inspector ───
+
+const BPE_STEP_MS = 350; // delay between revealed merge steps
+
+let bpeTrace = null;
+let bpeTimer = null;
+
+/**
+ * Open the BPE inspector on the current text, with the word that produced
+ * input token `index` selected.
+ */
+async function showBpeInspector(index) {
+  const text = pipeline.getCurrentText();
+  if (!text) return;
+  clearTimeout(bpeTimer);
+  bpeModal.hidden = false;
+  bpeWords.innerHTML = '';
+  bpeSteps.innerHTML = '';
+  bpeBadge.textContent = '';
+  bpeInfo.textContent = 'Repitiendo la tokenizacion paso a paso...';
+
+  try {
+    bpeTrace = await models.bpeTrace(text);
+  } catch (err) {
+    console.error('[app] bpe trace error:', err);
+    bpeInfo.textContent = 'No se pudo seguir la tokenizacion: ' + err.message;
+    return;
+  }
+
+  // The chips map onto the trace's tokens (which skip a leading BOS) as long
+  // as both agree up to `index`
+  let selected = 0;
+  const offset = Math.max(0, shownTokens.length - bpeTrace.ids.length);
+  const at = index - offset;
+  const agrees = at >= 0 && shownTokens.slice(offset, index + 1).every((t, i) => t.id === bpeTrace.ids[i]);
+  if (agrees) {
+    let end = 0;
+    selected = bpeTrace.pieces.findIndex(p => (end += p.tokens.length) > at);
+  }
+
+  bpeTrace.pieces.forEach((piece, i) => {
+    const btn = document.createElement('button');
+    btn.className = 'bpe__word';
+    btn.textContent = quoteToken(pieceText(piece));
+    btn.addEventListener('click', () => renderBpePiece(i));
+    bpeWords.appendChild(btn);
+  });
+  renderBpePiece(Math.max(0, selected));
+}
+
+/** What a traced piece reads as: its bytes decoded as UTF-8. */
+function pieceText(piece) {
+  return new TextDecoder().decode(Uint8Array.from(piece.initial.flatMap(s => s.bytes)));
+}
+
+/** One row of the trace: a label and the symbols at that point. */
+function bpeRow(label, symbols, { highlight = [], final = false } = {}) {
+  const li = document.createElement('li');
+  li.className = 'bpe__step';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'bpe__label';
+  labelEl.append(...[].concat(label));
+  const row = document.createElement('span');
+  row.className = 'bpe__symbols';
+
+  symbols.forEach(({ symbol, note, unknown }, i) => {
+    const chip = document.createElement('span');
+    chip.className = 'bpe__symbol';
+    if (highlight.includes(i)) chip.classList.add('is-merged');
+    if (final) chip.classList.add(unknown ? 'is-unknown' : 'is-final');
+    chip.textContent = symbol;
+    if (note != null) {
+      const small = document.createElement('small');
+      small.textContent = note;
+      chip.appendChild(small);
+    }
+    row.appendChild(chip);
+  });
+
+  li.append(labelEl, row);
+  return li;
+}
+
+/** Animate the merges of piece `i`: bytes, one row per merge, then the ids. */
+function renderBpePiece(i) {
+  clearTimeout(bpeTimer);
+  const piece = bpeTrace.pieces[i];
+  [...bpeWords.children].forEach((btn, j) => btn.classList.toggle('is-active', j === i));
+  bpeBadge.textContent = `${piece.steps.length} merges · ${piece.tokens.length} ${piece.tokens.length === 1 ? 'token' : 'tokens'}`;
+  bpeSteps.innerHTML = '';
+
+  const rows = [bpeRow(
+    bpeTrace.byteLevel ? 'bytes' : 'caracteres',
+    piece.initial.map(({ symbol, bytes }) => ({ symbol, note: hex(bytes) }))
+  )];
+
+  piece.steps.forEach(({ rank, pair, at, symbols }) => {
+    const rankEl = document.createElement('span');
+    rankEl.className = 'bpe__rank';
+    rankEl.textContent = `#${rank}`;
+    const row = bpeRow(['merge ', rankEl], symbols.map(symbol => ({ symbol })), { highlight: at });
+    row.title = `"${pair[0]}" + "${pair[1]}": regla ${rank} de la tabla de merges`;
+    rows.push(row);
+  });
+  if (piece.steps.length === 0 && piece.tokens.length < piece.initial.length) {
+    rows.push(bpeRow('vocabulario', [{ symbol: piece.tokens[0].symbol }]));
+  }
+
+  rows.push(bpeRow('ids', piece.tokens.map(({ symbol, id }) => ({
+    symbol,
+    note: id ?? '?',
+    unknown: id == null,
+  })), { final: true }));
+
+  const reveal = (n) => {
+    if (n >= rows.length) return;
+    bpeSteps.appendChild(rows[n]);
+    requestAnimationFrame(() => rows[n].classList.add('is-visible'));
+    bpeTimer = setTimeout(() => reveal(n + 1), BPE_STEP_MS);
+  };
+  reveal(0);
+
+  const space = bpeTrace.byteLevel ? ' Ġ es el byte del espacio: la palabra lleva pegado el espacio que la precede.' : '';
+  const check = bpeTrace.matches
+    ? 'La traza reproduce exactamente los ids que devuelve el tokenizer.'
+    : 'Ojo: la traza no coincide con los ids del tokenizer (tokens especiales, normalizacion o byte fallback que esta traza no reproduce).';
+  bpeInfo.textContent = `Cada palabra empieza como ${bpeTrace.byteLevel ? 'bytes' : 'caracteres sueltos'}. En cada paso se une el par vecino con el rango mas bajo en la tabla de merges (el orden en que se aprendieron: menor = mas frecuente en el entrenamiento). Cuando ningun par esta en la tabla, lo que queda son los tokens.${space} ${check}`;
+}
+
+function closeBpeInspector() {
+  clearTimeout(bpeTimer);
+  bpeModal.hidden = true;
+}
+
 // ─── Embedding Modal ───
 
+const EMB_VIEWS = {
+  sum: 'wte + wpe',
+  token: 'Token (wte)',
+  position: 'Posicion (wpe)',
+};
+
 let currentEmbVec = null;
+let currentEmbVectors = null; // { token, position, sum } from models.getEmbeddingVector
+let currentEmbView = 'sum';
+let currentEmbScale = 0.3;
 let currentEmbDims = 0;
 let currentEmbGridCols = 0;
 let currentEmbTokenText = '';
+let currentEmbTokenId = 0;
+let currentEmbPosition = 0;
+let embRequest = 0;
 let heatmapListenersAdded = false;
 
-function showEmbeddingModal(tokenId, tokenText) {
+async function showEmbeddingModal(tokenId, tokenText, position) {
   const cfg = models.getConfig(models.getLoadedModelId());
   if (!cfg) return;
   const dims = cfg.hidden_dim;
+  const request = ++embRequest;
 
   modalTokenText.textContent = tokenText;
-  modalTokenId.textContent = `ID: ${tokenId}`;
-  modalInfoText.textContent = `Este vector de ${dims} numeros representa el "significado" del token en un espacio matematico. Tokens con significados similares tienen vectores parecidos.`;
+  modalTokenId.textContent = `ID: ${tokenId} · pos ${position}`;
+  modalInfoText.textContent = 'Leyendo los pesos de embedding del modelo...';
 
-  const vec = models.getEmbeddingVector(tokenId, dims);
-  currentEmbVec = vec;
+  currentEmbVec = null;
+  currentEmbVectors = null;
   currentEmbDims = dims;
   currentEmbGridCols = Math.ceil(Math.sqrt(dims));
   currentEmbTokenText = tokenText;
+  currentEmbTokenId = tokenId;
+  currentEmbPosition = position;
 
-  drawEmbeddingHeatmap(vec, dims, -1);
+  modalHeatmap.getContext('2d').clearRect(0, 0, modalHeatmap.width, modalHeatmap.height);
   embeddingModal.hidden = false;
 
   if (!heatmapListenersAdded) {
     modalHeatmap.addEventListener('mousemove', handleHeatmapHover);
     modalHeatmap.addEventListener('mouseleave', handleHeatmapLeave);
+    modalTabs.addEventListener('click', (e) => {
+      const view = e.target.dataset?.view;
+      if (view && currentEmbVectors) setEmbeddingView(view);
+    });
     heatmapListenersAdded = true;
   }
+
+  let vectors;
+  try {
+    vectors = await models.getEmbeddingVector(tokenId, position);
+  } catch (err) {
+    console.error('[app] embedding weights error:', err);
+    if (request === embRequest) {
+      modalInfoText.textContent = 'No se pudieron leer los embeddings del modelo: ' + err.message;
+    }
+    return;
+  }
+  if (request !== embRequest) return;
+
+  currentEmbVectors = vectors;
+  setEmbeddingView(vectors.position ? currentEmbView : 'token');
+}
+
+function setEmbeddingView(view) {
+  const cfg = models.getConfig(models.getLoadedModelId());
+  const hasPosition = !!currentEmbVectors.position;
+  if (!hasPosition && view !== 'token') view = 'token';
+  currentEmbView = view;
+
+  modalTabs.querySelectorAll('[data-view]').forEach(btn => {
+    btn.classList.toggle('is-active', btn.dataset.view === view);
+    btn.hidden = !hasPosition && btn.dataset.view !== 'token';
+    btn.textContent = EMB_VIEWS[btn.dataset.view];
+  });
+
+  const dims = currentEmbDims;
+  const id = currentEmbTokenId;
+  const pos = currentEmbPosition;
+  const rope = cfg.arch?.positions === 'rope';
+  if (view === 'token') {
+    modalInfoText.textContent = `Fila ${id} de la matriz ${rope ? 'embed_tokens' : 'wte'} del modelo (${cfg.vocab_size.toLocaleString()}×${dims}): los ${dims} numeros aprendidos para "${currentEmbTokenText}". Tokens con significados similares tienen vectores parecidos.` +
+      (rope ? ' Este modelo no suma un vector de posicion: usa RoPE, que rota Q y K segun la posicion dentro de cada capa de atencion.' : '');
+  } else if (view === 'position') {
+    modalInfoText.textContent = `Fila ${pos} de la matriz wpe: el modelo aprende un vector distinto para cada posicion (hasta ${cfg.max_positions}). Es igual para cualquier token en la posicion ${pos}.`;
+  } else {
+    modalInfoText.textContent = `wte[${id}] + wpe[${pos}]: exactamente el vector de ${dims} numeros que entra a la capa 1 para este token.`;
+  }
+
+  currentEmbVec = currentEmbVectors[view];
+  currentEmbScale = embeddingScale(currentEmbVec);
+  drawEmbeddingHeatmap(currentEmbVec, dims, -1);
+}
+
+/** Color scale for the heatmap: 98th percentile of |value|, so outliers don't wash it out. */
+function embeddingScale(vec) {
+  const abs = Array.from(vec, Math.abs).sort((a, b) => a - b);
+  return abs[Math.floor(abs.length * 0.98)] || 0.3;
 }
 
 function handleHeatmapHover(e) {
@@ -254,23 +1635,24 @@ function handleHeatmapHover(e) {
 
   const val = currentEmbVec[dimIdx];
   const absVal = Math.abs(val);
+  const nearZero = currentEmbScale * 0.07;
 
   // Color for the value
   let valColor;
-  if (absVal < 0.02) valColor = '#8b949e';
+  if (absVal < nearZero) valColor = '#8b949e';
   else if (val > 0) valColor = '#f87171';
   else valColor = '#60a5fa';
 
   // Bar visualization: map value to a visual bar
-  const barPct = Math.min(absVal / 0.3, 1) * 100;
+  const barPct = Math.min(absVal / currentEmbScale, 1) * 100;
   const barDir = val >= 0 ? 'rojo / positivo' : 'azul / negativo';
 
   heatmapTooltip.innerHTML =
     `<b>Dim ${dimIdx}</b> / ${currentEmbDims}<br>` +
     `<span style="color:${valColor}; font-size:1.1em; font-weight:700">${val >= 0 ? '+' : ''}${val.toFixed(4)}</span><br>` +
     `<span style="color:#8b949e">` +
-    (absVal < 0.02
-      ? `Cerca de cero: esta dimension no<br>distingue mucho a "${currentEmbTokenText}"`
+    (absVal < nearZero
+      ? `Cerca de cero: esta dimension no<br>distingue mucho a "${escapeHtml(currentEmbTokenText)}"`
       : `Intensidad: ${barPct.toFixed(0)}% (${barDir})<br>` +
         `Cuanto mas ${val > 0 ? 'rojo' : 'azul'}, mas contribuye<br>esta dimension al significado`) +
     `</span>`;
@@ -307,12 +1689,12 @@ function drawEmbeddingHeatmap(vec, dims, highlightIdx) {
     const val = vec[i];
     let r, g, b;
     if (val >= 0) {
-      const t = Math.min(val / 0.3, 1);
+      const t = Math.min(val / currentEmbScale, 1);
       r = 255;
       g = Math.round(255 * (1 - t * 0.7));
       b = Math.round(255 * (1 - t * 0.8));
     } else {
-      const t = Math.min(-val / 0.3, 1);
+      const t = Math.min(-val / currentEmbScale, 1);
       r = Math.round(255 * (1 - t * 0.8));
       g = Math.round(255 * (1 - t * 0.6));
       b = 255;
@@ -345,7 +1727,19 @@ const INFO_CARDS = {
         <p class="info-panel__text">
           "the" = 1 token, pero "tokenization" = ["token", "ization"]. Palabras comunes se mantienen enteras; las raras se dividen.
         </p>
-        <div class="info-panel__formula">"The capital of" → [464, 3139, 286]</div>`;
+        <p class="info-panel__text">
+          Haz clic en un token de la entrada para ver como lo construye <strong>BPE</strong>: la palabra empieza como bytes y se van uniendo pares segun la tabla de merges del tokenizer.
+        </p>
+        <p class="info-panel__text">
+          Los tokens son bytes UTF-8, no letras: una "é" o un emoji puede quedar repartido entre dos tokens. Esos tokens aparecen unidos y su tooltip dice que bytes del caracter lleva cada uno; ⎵ marca el espacio que el token lleva delante.
+        </p>
+        <div class="info-panel__formula">"The capital of" → [464, 3139, 286]</div>
+        <p class="info-panel__text">
+          La franja de color bajo cada token es su <strong>sorpresa</strong>: -log<sub>2</sub> p(token | anteriores). Verde = el modelo lo esperaba, rojo = no. El promedio da la <strong>perplejidad</strong> del texto.
+        </p>
+        <p class="info-panel__text">
+          Con la <strong>atribucion</strong> activa, cada token se pinta segun cuanto cae la probabilidad de la prediccion principal si se lo quita (o reemplaza): naranja = la sostiene, azul = la frena.
+        </p>`;
     },
   },
   embedding: {
@@ -353,15 +1747,22 @@ const INFO_CARDS = {
     title: 'Embeddings',
     getContent(cfg) {
       const dim = cfg ? cfg.hidden_dim : 768;
+      const rope = cfg?.arch?.positions === 'rope';
+      const positionText = rope
+        ? `Aqui <strong>no se suma ningun vector de posicion</strong>: el modelo usa <strong>RoPE</strong>, que rota las consultas y claves de la atencion segun la posicion de cada token, en todas las capas.`
+        : `A ese vector se le suma el de su <strong>posicion</strong> (<strong>wpe</strong>), para que el modelo sepa el orden de las palabras.`;
       return `
         <p class="info-panel__text">
-          Cada token se convierte en una <strong>lista de ${dim} numeros</strong> que representa su significado.
+          Cada token se convierte en una <strong>lista de ${dim} numeros</strong> que representa su significado: su fila en la matriz de embeddings (<strong>${rope ? 'embed_tokens' : 'wte'}</strong>) del modelo.
+        </p>
+        <p class="info-panel__text">
+          ${positionText}
         </p>
         <p class="info-panel__text">
           Palabras similares tienen numeros parecidos. Asi el modelo sabe que "gato" y "perro" son mas cercanos que "gato" y "avion".
         </p>
         <div class="info-panel__detail">
-          <span>Click en un nodo verde para ver su vector</span>
+          <span>Click en un nodo verde para ver sus vectores reales</span>
         </div>`;
     },
   },
@@ -371,14 +1772,42 @@ const INFO_CARDS = {
     getContent(cfg) {
       const heads = cfg ? cfg.heads : 12;
       const layers = cfg ? cfg.layers : 12;
+      const head = config.get('attentionHead');
+      const attnNote = models.getCapabilities().attentions
+        ? `Las lineas entre capas son la <strong>atencion real</strong> del modelo (${head === 'avg' ? `promedio de ${heads} cabezas` : `cabeza ${head + 1} de ${heads}`}): mas gruesa = mas atencion.`
+        : 'Este export ONNX no incluye los pesos de atencion, asi que las lineas entre capas son ilustrativas.';
       return `
         <p class="info-panel__text">
-          Aqui ocurre la "comprension". Cada token <strong>mira a todos los demas</strong> para entender el contexto
+          Aqui ocurre la "comprension". Cada token <strong>mira a los anteriores</strong> para entender el contexto
           (<strong>atencion</strong>) y luego procesa esa informacion.
         </p>
         <p class="info-panel__text">
           En "capital of <em>Spain</em>", el modelo conecta "capital" con "Spain" para deducir que se habla de Madrid. Se repite en <strong>${layers} capas</strong>, cada vez entendiendo relaciones mas complejas.
-        </p>`;
+        </p>
+        ${cfg?.arch ? `<p class="info-panel__text">${archNote(cfg)}</p>` : ''}
+        <p class="info-panel__text">
+          <strong>Click en una capa</strong> para anularla: se ponen a cero sus proyecciones de salida (atencion y MLP) y el modelo vuelve a correr sin ella. Con una cabeza elegida en ATENCION solo se anula esa cabeza. La franja celeste bajo cada barra es la probabilidad sin el componente.
+        </p>
+        <div class="info-panel__detail">
+          <span>${attnNote}</span>
+        </div>`;
+    },
+  },
+  lens: {
+    icon: '\ud83d\udd0d',
+    title: 'Logit lens',
+    getContent(cfg) {
+      const layers = cfg ? cfg.layers : 12;
+      return `
+        <p class="info-panel__text">
+          Cada casilla muestra <strong>que palabra diria el modelo si terminara en esa capa</strong>: el estado oculto se pasa por la ${cfg?.arch?.norm === 'rmsnorm' ? 'RMSNorm' : 'LayerNorm'} final y la matriz de salida (unembedding).
+        </p>
+        <p class="info-panel__text">
+          Asi se ve como la respuesta se va formando a lo largo de las <strong>${layers} capas</strong>. El borde verde marca las capas que ya coinciden con la prediccion final.
+        </p>
+        ${models.getCapabilities().hiddenStates ? '' : `<div class="info-panel__detail">
+          <span>Este export ONNX no incluye los hidden states de cada capa (salidas hidden_states.N), asi que la franja queda vacia. Hace falta un export hecho con output_hidden_states=True.</span>
+        </div>`}`;
     },
   },
   logit: {
@@ -404,14 +1833,55 @@ const INFO_CARDS = {
           El modelo <strong>no siempre elige la palabra mas probable</strong>. Elige al azar entre las mejores opciones, ponderando por probabilidad. Por eso cada generacion es diferente.
         </p>
         <p class="info-panel__text">
-          <strong>Top-K</strong> limita a los ${config.get('topK')} mejores candidatos.
-          <strong>Top-P</strong> filtra los que sumen hasta ${(config.get('topP') * 100).toFixed(0)}% de probabilidad.
-          La &#9733; marca el token elegido.
+          Primero se aplica softmax con temperatura a <strong>todo el vocabulario</strong>.
+          Luego <strong>Top-K</strong> deja los ${config.get('topK')} mejores candidatos y <strong>Top-P</strong> el grupo mas chico que sume al menos ${(config.get('topP') * 100).toFixed(0)}% de lo que queda, igual que <code>generate()</code> de Hugging Face.
+          La barra tenue es la probabilidad real del modelo; la solida, la que usa el sorteo. La &#9733; marca el token elegido.
+        </p>
+        <p class="info-panel__text">
+          Haz <strong>click en cualquier barra</strong> para forzar ese token en lugar del sorteado: la continuacion se guarda como una rama nueva en el panel <strong>Ramas</strong>.
+        </p>
+        <p class="info-panel__text">
+          En <em>Procesadores avanzados</em> hay mas filtros. El orden fijo es: penalizacion por repeticion → presencia/frecuencia → no repetir n-gramas → sesgo de logits → temperatura → top-k → top-p → min-p → typical → epsilon → eta. Debajo de las barras se ve cuanta masa movio o descarto cada uno.
+        </p>
+        <p class="info-panel__text">
+          El azar sale de la <strong>semilla ${config.get('seed')}</strong>: con el mismo prompt, semilla y configuracion, cualquiera obtiene la misma continuacion.
+        </p>`;
+    },
+  },
+  beam: {
+    icon: '\ud83c\udf33',
+    title: 'Beam search',
+    getContent(cfg) {
+      const width = config.get('beamWidth');
+      return `
+        <p class="info-panel__text">
+          En vez de sortear, <strong>beam search</strong> mantiene las ${width} continuaciones con mayor <strong>log-probabilidad acumulada</strong> (la suma de log p de cada token), igual que <code>generate(num_beams=${width})</code>.
+        </p>
+        <p class="info-panel__text">
+          En cada paso mira las ${2 * width} mejores extensiones de todas las hipotesis vivas: las ${width} mejores siguen (amarillo), las que terminan en fin de texto se guardan (verde) y el resto se <strong>poda</strong> (gris, &#10005;).
+        </p>
+        <p class="info-panel__text">
+          La &#9733; marca la mejor hipotesis segun log p / largo<sup>${config.get('lengthPenalty')}</sup> (length penalty). El texto de arriba sigue esa hipotesis.
         </p>`;
     },
   },
 };
 
+/** How this architecture's layer differs from the GPT-2 textbook block. */
+function archNote(cfg) {
+  const { arch, heads, kv_heads: kvHeads, hidden_dim: dim, ffn_dim: ffn } = cfg;
+  const attention = arch.attention === 'mha'
+    ? `Cada una de las ${heads} cabezas tiene sus propias claves y valores.`
+    : `<strong>${arch.attention.toUpperCase()}</strong>: ${heads} cabezas de consulta comparten ${kvHeads} ${kvHeads === 1 ? 'par' : 'pares'} de claves/valores, lo que achica la KV cache.`;
+  const mlp = arch.mlp === 'gated'
+    ? `La red feed-forward es <strong>con compuerta</strong> (${arch.activation}): dos proyecciones ${dim}→${ffn} se multiplican entre si antes de volver a ${dim}.`
+    : `La red feed-forward expande ${dim}→${ffn}, aplica ${arch.activation} y vuelve a ${dim}.`;
+  const norm = arch.norm === 'rmsnorm'
+    ? 'Normaliza con <strong>RMSNorm</strong> (solo escala, sin restar la media).'
+    : 'Normaliza con <strong>LayerNorm</strong>.';
+  return `${attention} ${mlp} ${norm}`;
+}
+
 function updateInfoPanel(zone, modelCfg) {
   const card = zone ? INFO_CARDS[zone] : null;
   if (card) {
@@ -445,6 +1915,19 @@ async function startAutoGenerate() {
   for (let step = 0; step < AUTO_GEN_STEPS; step++) {
     if (autoGenAbort) break;
 
+    // Beam search grows every hypothesis at once: no single token to animate
+    if (config.get('decoding') === 'beam') {
+      try {
+        if (!(await runBeamStep())) break;
+      } catch (err) {
+        console.error('[app] beam step error:', err);
+        break;
+      }
+      if (autoGenAbort) break;
+      await new Promise(r => setTimeout(r, AUTO_GEN_DELAY));
+      continue;
+    }
+
     // 1. Get the sampled token from current predictions
     const moreResult = await pipeline.generateMore();
     if (!moreResult || autoGenAbort) break;
@@ -456,18 +1939,12 @@ async function startAutoGenerate() {
     // 3. Update input with new text
     queryInput.value = moreResult.newText;
 
-    // 4. Run pipeline with new text (re-tokenize + re-infer)
-    isProcessing = true;
+    // 4. Feed only the new token (KV cache covers the rest)
     try {
-      const result = await pipeline.run(moreResult.newText);
-      renderInputTokens(result.tokens);
-      tokenCount.textContent = `${result.tokens.length} tokens`;
-      viz.build(result.tokens, result.modelConfig, result.predictions);
+      await runStep(moreResult.tokenId);
     } catch (err) {
       console.error('[app] autoregressive step error:', err);
       break;
-    } finally {
-      isProcessing = false;
     }
 
     if (autoGenAbort) break;
@@ -477,6 +1954,7 @@ async function startAutoGenerate() {
   }
 
   stopAutoGenerate();
+  runAttribution();
 }
 
 function stopAutoGenerate() {
@@ -490,6 +1968,41 @@ function stopAutoGenerate() {
 
 // ─── Events ───
 
+function showSliderValue(slider) {
+  const valueEl = slider.closest('.config__group').querySelector('.config__value');
+  const val = parseFloat(slider.value);
+  const off = slider.dataset.off != null && val === Number(slider.dataset.off);
+  valueEl.textContent = off ? 'off' : val.toFixed(Number(slider.dataset.decimals));
+}
+
+/**
+ * Reflect a config value set from code (e.g. restoring a branch) in its
+ * sidebar control.
+ */
+function syncControl(key, value) {
+  if (key === 'temperature') {
+    tempSlider.value = value;
+    tempValue.textContent = value.toFixed(2);
+  } else if (key === 'topK') {
+    topkSlider.value = value;
+    topkValue.textContent = value === 0 ? 'off' : value;
+  } else if (key === 'topP') {
+    toppSlider.value = value;
+    toppValue.textContent = value.toFixed(2);
+  } else if (key === 'decoding') {
+    decodingSelect.value = value;
+    beamOptions.hidden = value !== 'beam';
+  } else if (key === 'logitBias') {
+    if (value !== shownBias) renderBiasList();
+  } else {
+    const slider = document.querySelector(`.config__slider[data-config="${key}"]`);
+    if (slider && parseFloat(slider.value) !== value) {
+      slider.value = value;
+      showSliderValue(slider);
+    }
+  }
+}
+
 function setupEvents() {
   generateBtn.addEventListener('click', runPipeline);
   queryInput.addEventListener('keydown', (e) => {
@@ -498,10 +2011,22 @@ function setupEvents() {
 
   moreBtn.addEventListener('click', async () => {
     if (isProcessing || isAutoGenerating) return;
+    if (config.get('decoding') === 'beam') {
+      try {
+        await runBeamStep();
+      } catch (err) {
+        console.error('[app] beam step error:', err);
+      }
+      return;
+    }
     const result = await pipeline.generateMore();
     if (result) {
       queryInput.value = result.newText;
-      await runPipeline();
+      try {
+        await runStep(result.tokenId);
+      } catch (err) {
+        console.error('[app] step error:', err);
+      }
     }
   });
 
@@ -513,15 +2038,32 @@ function setupEvents() {
     }
   });
 
+  tokenizersBtn.addEventListener('click', showTokenizers);
+
   resetBtn.addEventListener('click', () => {
     if (isAutoGenerating) stopAutoGenerate();
     queryInput.value = '';
     inputTokens.innerHTML = '';
     tokenCount.textContent = '0 tokens';
+    perplexityEl.hidden = true;
     moreBtn.disabled = true;
     autoBtn.disabled = true;
     hasGenerated = false;
+    branches.clear();
+    renderBranches();
     viz.clear();
+    statsPanel.hidden = true;
+    shownTokens = [];
+    attributionSeq++;
+    ablationSeq++;
+    ablated = null;
+    ablationStatus.hidden = true;
+    setAttributionStatus('');
+    compareSeq++;
+    compareViz?.clear();
+    compareDiff.hidden = true;
+    compareLabel.textContent = '';
+    graphLabel.textContent = '';
     if (welcomeState) welcomeState.hidden = false;
     queryInput.focus();
   });
@@ -529,6 +2071,18 @@ function setupEvents() {
   // Info panel: listen for hover zone changes on the canvas
   viz.onHoverZone(updateInfoPanel);
 
+  // Clicking an output bar forces that token as a new branch
+  viz.onOutputClick(forceToken);
+
+  // Clicking a layer knocks it (or the selected head) out
+  viz.onLayerClick(toggleAblation);
+
+  branchesToggle.addEventListener('click', () => {
+    const collapsed = branchesPanel.classList.toggle('is-collapsed');
+    branchesToggle.innerHTML = collapsed ? '+' : '&minus;';
+    branchesToggle.title = collapsed ? 'Expandir' : 'Minimizar';
+  });
+
   sidebarClose.addEventListener('click', () => {
     document.body.classList.add('sidebar-hidden');
   });
@@ -545,7 +2099,7 @@ function setupEvents() {
 
   topkSlider.addEventListener('input', (e) => {
     const val = parseInt(e.target.value);
-    topkValue.textContent = val;
+    topkValue.textContent = val === 0 ? 'off' : val;
     config.set('topK', val);
   });
 
@@ -555,21 +2109,135 @@ function setupEvents() {
     config.set('topP', val);
   });
 
+  // Config sliders name their config key and, for processors, their "off" value
+  document.querySelectorAll('.config__slider[data-config]').forEach(slider => {
+    slider.addEventListener('input', () => {
+      showSliderValue(slider);
+      config.set(slider.dataset.config, parseFloat(slider.value));
+    });
+  });
+
+  let searchTimer = null;
+  biasSearch.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(searchBiasTokens, 250);
+  });
+
+  decodingSelect.addEventListener('change', () => {
+    beamOptions.hidden = decodingSelect.value !== 'beam';
+    pipeline.resetBeams();
+    config.set('decoding', decodingSelect.value);
+  });
+
+  attributionSelect.value = config.get('attribution');
+  attributionSelect.addEventListener('change', () => config.set('attribution', attributionSelect.value));
+
+  headSelect.addEventListener('change', () => {
+    const val = headSelect.value;
+    config.set('attentionHead', val === 'avg' ? 'avg' : parseInt(val));
+  });
+
+  modelAdd.addEventListener('click', () => {
+    const value = modelInput.value.trim();
+    if (value) addModel(value);
+  });
+  modelInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') modelAdd.click();
+  });
+
+  modelFiles.addEventListener('change', () => {
+    const files = [...modelFiles.files].map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    modelFiles.value = '';
+    if (files.length > 0) addModel({ files });
+  });
+
+  modelDrop.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    modelDrop.classList.add('is-over');
+  });
+  modelDrop.addEventListener('dragleave', () => modelDrop.classList.remove('is-over'));
+  modelDrop.addEventListener('drop', async (e) => {
+    e.preventDefault();
+    modelDrop.classList.remove('is-over');
+    const files = await collectDroppedFiles(e.dataTransfer);
+    if (files.length > 0) addModel({ files });
+  });
+
+  compareSelect.addEventListener('change', () => setCompareModel(compareSelect.value));
+  compareDtype.addEventListener('change', () => openComparison(compareSelect.value, compareDtype.value));
+
+  deviceSelect.addEventListener('change', () => {
+    threadsSelect.disabled = deviceSelect.value !== 'wasm';
+    config.set('device', deviceSelect.value);
+  });
+  threadsSelect.addEventListener('change', () => config.set('numThreads', Number(threadsSelect.value)));
+
+  loadingCancel.addEventListener('click', cancelLoad);
+  cachePanel.addEventListener('toggle', () => {
+    if (cachePanel.open) renderCache();
+  });
+
+  dtypeSelect.addEventListener('change', async () => {
+    models.setDtype(modelSelect.value, dtypeSelect.value);
+    await loadSelectedModel();
+  });
+
   modelSelect.addEventListener('change', async () => {
     config.set('modelId', modelSelect.value);
     await loadSelectedModel();
   });
 
-  config.onChange((key) => {
-    if ((key === 'temperature' || key === 'topK' || key === 'topP') && pipeline.hasResults()) {
-      const predictions = pipeline.recomputePredictions();
-      if (predictions) {
-        viz.updatePredictions(predictions);
+  seedInput.addEventListener('change', () => {
+    const seed = parseInt(seedInput.value, 10);
+    if (Number.isInteger(seed) && seed >= 0) config.set('seed', seed);
+    else seedInput.value = config.get('seed');
+  });
+  seedReroll.addEventListener('click', () => {
+    config.set('seed', Math.floor(Math.random() * 100000));
+  });
+
+  let recomputeSeq = 0;
+  config.onChange(async (key, value) => {
+    syncControl(key, value);
+    if (key === 'attentionHead') {
+      viz.updateAttentionHead();
+    }
+    if (key === 'attribution') runAttribution();
+    if (key === 'device' || key === 'numThreads') reloadBackend();
+    if (key === 'seed') {
+      seedInput.value = value;
+      footerSeed.textContent = value;
+      pipeline.reseed();
+    }
+    if ((pipeline.SAMPLING_KEYS.includes(key) || key === 'seed') && pipeline.hasResults()) {
+      // Slider drags fire faster than the worker answers: only the latest result is drawn
+      const seq = ++recomputeSeq;
+      try {
+        const result = await pipeline.recomputePredictions();
+        if (result && seq === recomputeSeq) {
+          viz.updatePredictions(result.predictions, result.sampling);
+          renderStats(result.sampling.stats);
+        }
+        const b = await compare.recomputePredictions();
+        if (b && compareViz && seq === recomputeSeq) {
+          compareViz.updatePredictions(b.predictions, b.sampling);
+        }
+      } catch (err) {
+        // The worker may have been restarted mid-drag (cancelled load, backend change)
+        console.error('[app] recompute predictions error:', err);
       }
     }
   });
 
   modalClose.addEventListener('click', () => { embeddingModal.hidden = true; heatmapTooltip.hidden = true; });
+  bpeClose.addEventListener('click', closeBpeInspector);
+  tokenizersClose.addEventListener('click', closeTokenizers);
+  tokenizersModal.addEventListener('click', (e) => {
+    if (e.target === tokenizersModal) closeTokenizers();
+  });
+  bpeModal.addEventListener('click', (e) => {
+    if (e.target === bpeModal) closeBpeInspector();
+  });
   embeddingModal.addEventListener('click', (e) => {
     if (e.target === embeddingModal) { embeddingModal.hidden = true; heatmapTooltip.hidden = true; }
   });
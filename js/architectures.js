@@ -0,0 +1,133 @@
+/**
+ * What differs between decoder-only families, read from a model's config.json:
+ * how positions are encoded, how many K/V heads attention keeps, the MLP shape
+ * and the normalization. Shared by the registry (models.js) and the worker.
+ */
+
+// model_type → traits. bias: which projections carry a bias ('all', 'qkv', 'none')
+const FAMILIES = {
+  gpt2: { positions: 'learned', mlp: 'standard', norm: 'layernorm', bias: 'all' },
+  gpt_neo: { positions: 'learned', mlp: 'standard', norm: 'layernorm', bias: 'all' },
+  gpt_neox: { positions: 'rope', mlp: 'standard', norm: 'layernorm', bias: 'all' },
+  phi: { positions: 'rope', mlp: 'standard', norm: 'layernorm', bias: 'all' },
+  llama: { positions: 'rope', mlp: 'gated', norm: 'rmsnorm', bias: 'none' },
+  mistral: { positions: 'rope', mlp: 'gated', norm: 'rmsnorm', bias: 'none' },
+  qwen2: { positions: 'rope', mlp: 'gated', norm: 'rmsnorm', bias: 'qkv' },
+  qwen3: { positions: 'rope', mlp: 'gated', norm: 'rmsnorm', bias: 'none' },
+  smollm3: { positions: 'rope', mlp: 'gated', norm: 'rmsnorm', bias: 'none' },
+};
+
+// config.json field names across architectures, first match wins
+const CONFIG_FIELDS = {
+  layers: ['n_layer', 'num_hidden_layers', 'num_layers', 'n_layers'],
+  hidden_dim: ['n_embd', 'hidden_size', 'd_model', 'dim'],
+  heads: ['n_head', 'num_attention_heads', 'num_heads', 'n_heads'],
+  kv_heads: ['num_key_value_heads', 'n_head_kv', 'num_kv_heads'],
+  ffn_dim: ['n_inner', 'intermediate_size', 'ffn_dim', 'd_ff'],
+  vocab_size: ['vocab_size', 'n_vocab'],
+  max_positions: ['n_positions', 'max_position_embeddings', 'n_ctx', 'max_seq_len'],
+  norm_eps: ['layer_norm_epsilon', 'layer_norm_eps', 'rms_norm_eps', 'norm_eps'],
+  activation: ['activation_function', 'hidden_act', 'hidden_activation'],
+};
+
+function pick(json, keys) {
+  for (const key of keys) {
+    if (json[key] != null) return json[key];
+  }
+  return undefined;
+}
+
+/**
+ * Traits of a model_type we don't list, guessed from the fields it sets.
+ */
+function guessFamily(json) {
+  const rope = json.rope_theta != null || json.rotary_dim != null || json.rope_scaling != null;
+  const rms = json.rms_norm_eps != null;
+  return {
+    positions: rope ? 'rope' : 'learned',
+    mlp: rms ? 'gated' : 'standard',
+    norm: rms ? 'rmsnorm' : 'layernorm',
+    bias: rms ? 'none' : 'all',
+  };
+}
+
+/**
+ * Registry fields (shape, parameter count and `arch`) from a model's
+ * config.json, whatever the architecture calls them.
+ */
+export function configFromPretrained(json) {
+  json = json.text_config ?? json;
+  const layers = pick(json, CONFIG_FIELDS.layers);
+  const dim = pick(json, CONFIG_FIELDS.hidden_dim);
+  const heads = pick(json, CONFIG_FIELDS.heads);
+  const kvHeads = pick(json, CONFIG_FIELDS.kv_heads) ?? heads;
+  const ffn = pick(json, CONFIG_FIELDS.ffn_dim) ?? 4 * dim;
+  const vocab = pick(json, CONFIG_FIELDS.vocab_size);
+  const positions = pick(json, CONFIG_FIELDS.max_positions);
+  if (!layers || !dim || !heads || !vocab) {
+    throw new Error('config.json sin n_layer / hidden_size / num_attention_heads / vocab_size');
+  }
+
+  const family = FAMILIES[json.model_type] ?? guessFamily(json);
+  const arch = {
+    family: json.model_type || 'desconocido',
+    positions: family.positions,
+    attention: kvHeads === heads ? 'mha' : kvHeads === 1 ? 'mqa' : 'gqa',
+    mlp: family.mlp,
+    activation: pick(json, CONFIG_FIELDS.activation) || (family.mlp === 'gated' ? 'silu' : 'gelu'),
+    norm: family.norm,
+    tied: json.tie_word_embeddings !== false,
+    ropeTheta: family.positions === 'rope' ? json.rope_theta ?? 10000 : null,
+  };
+
+  return {
+    model_type: json.model_type,
+    layers,
+    hidden_dim: dim,
+    ffn_dim: ffn,
+    vocab_size: vocab,
+    max_positions: positions,
+    norm_eps: pick(json, CONFIG_FIELDS.norm_eps) ?? 1e-5,
+    params: formatParams(countParams({ layers, dim, heads, kvHeads, ffn, vocab, positions }, arch, family.bias)),
+    heads,
+    kv_heads: kvHeads,
+    eos_id: [].concat(json.eos_token_id ?? [])[0] ?? null,
+    arch,
+  };
+}
+
+/**
+ * Parameter count from the shape and traits: embeddings (+ learned positions),
+ * per layer Q/O (d×d) and K/V (d×kvDim) plus 2 (standard) or 3 (gated) MLP
+ * matrices and 2 norms, the final norm and an untied lm_head.
+ */
+function countParams({ layers, dim, heads, kvHeads, ffn, vocab, positions }, arch, bias) {
+  const kvDim = (dim / heads) * kvHeads;
+  const normSize = arch.norm === 'layernorm' ? 2 * dim : dim;
+
+  let attention = 2 * dim * dim + 2 * dim * kvDim;
+  if (bias === 'all') attention += 2 * dim + 2 * kvDim;
+  else if (bias === 'qkv') attention += dim + 2 * kvDim;
+
+  let mlp = (arch.mlp === 'gated' ? 3 : 2) * dim * ffn;
+  if (bias === 'all') mlp += ffn + dim;
+
+  const perLayer = attention + mlp + 2 * normSize;
+  const embeddings = vocab * dim + (arch.positions === 'learned' ? (positions || 0) * dim : 0);
+  const lmHead = arch.tied ? 0 : vocab * dim;
+  return embeddings + layers * perLayer + normSize + lmHead;
+}
+
+export function formatParams(n) {
+  return n >= 1e9 ? `${(n / 1e9).toFixed(1)}B` : `${Math.round(n / 1e6)}M`;
+}
+
+/** Short labels for the sidebar and tooltips. */
+export function describeArch(arch) {
+  return {
+    positions: arch.positions === 'rope' ? 'RoPE' : 'Posiciones aprendidas',
+    attention: { mha: 'MHA', gqa: 'GQA', mqa: 'MQA' }[arch.attention],
+    mlp: arch.mlp === 'gated' ? `MLP con compuerta (${arch.activation})` : `MLP (${arch.activation})`,
+    norm: arch.norm === 'rmsnorm' ? 'RMSNorm' : 'LayerNorm',
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Beam search bookkeeping, following Hugging Face `generate(num_beams=…)`:
+ * every step looks at the 2·width best continuations over all live beams,
+ * keeps the `width` best by cumulative log-probability and sets aside the
+ * ones that end in EOS. Length penalty only matters when ranking finished
+ * hypotheses: score = Σ log p / generated_length ^ length_penalty.
+ */
+
+/** log softmax of one position's logits, in float64. */
+function logSoftmax(logits) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) if (logits[i] > max) max = logits[i];
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) sum += Math.exp(logits[i] - max);
+  const lse = max + Math.log(sum);
+  const out = new Float64Array(logits.length);
+  for (let i = 0; i < logits.length; i++) out[i] = logits[i] - lse;
+  return out;
+}
+
+/** Indices of the n largest values, best first. */
+export function topIndices(values, n) {
+  const top = [];
+  for (let i = 0; i < values.length; i++) {
+    if (top.length === n && values[i] <= values[top[n - 1]]) continue;
+    let j = Math.min(top.length, n - 1);
+    while (j > 0 && values[top[j - 1]] < values[i]) j--;
+    top.splice(j, 0, i);
+    if (top.length > n) top.pop();
+  }
+  return top;
+}
+
+export function lengthScore(logProb, length, lengthPenalty) {
+  return logProb / Math.max(length, 1) ** lengthPenalty;
+}
+
+/**
+ * Start a search from the prompt. `logits` are the prompt's next-token logits.
+ * State: { beams: [{ id, ids, logProb, logits }], steps, finished, promptLength }
+ * where steps[s] lists every candidate looked at in step s (see advance()).
+ */
+export function createBeams(ids, logits) {
+  return {
+    beams: [{ id: 0, ids: ids.slice(), logProb: 0, logits }],
+    steps: [],
+    finished: [],
+    promptLength: ids.length,
+    nextId: 1,
+  };
+}
+
+/** Logits with the user's biases added ([{ tokenId, bias }], see sampling.js). */
+function withBias(logits, logitBias) {
+  if (logitBias.length === 0) return logits;
+  const out = Float32Array.from(logits);
+  for (const { tokenId, bias } of logitBias) {
+    if (tokenId < out.length) out[tokenId] += bias;
+  }
+  return out;
+}
+
+/**
+ * Expand the live beams by one token. Every beam must carry the logits of
+ * its last position. Candidates get a status: 'kept' (a live beam for the
+ * next step), 'finished' (ended in EOS) or 'pruned'. The new live beams
+ * have no logits yet.
+ */
+export function advance(state, { width, lengthPenalty, eosId, logitBias = [] }) {
+  const length = state.steps.length + 1;
+
+  const candidates = [];
+  for (const beam of state.beams) {
+    const logProbs = logSoftmax(withBias(beam.logits, logitBias));
+    for (const tokenId of topIndices(logProbs, 2 * width)) {
+      candidates.push({
+        parent: beam.id,
+        tokenId,
+        tokenLogProb: logProbs[tokenId],
+        logProb: beam.logProb + logProbs[tokenId],
+      });
+    }
+  }
+  candidates.sort((a, b) => b.logProb - a.logProb);
+  candidates.length = Math.min(candidates.length, 2 * width);
+
+  const parents = new Map(state.beams.map(b => [b.id, b]));
+  const beams = [];
+  candidates.forEach((c, rank) => {
+    c.id = state.nextId++;
+    c.score = lengthScore(c.logProb, length, lengthPenalty);
+    const ids = [...parents.get(c.parent).ids, c.tokenId];
+    // Like HF, an EOS only counts as a finished hypothesis when it ranks within the beam width
+    if (c.tokenId === eosId && rank < width) {
+      c.status = 'finished';
+      state.finished.push({ id: c.id, ids, logProb: c.logProb, score: c.score });
+    } else if (c.tokenId !== eosId && beams.length < width) {
+      c.status = 'kept';
+      beams.push({ id: c.id, ids, logProb: c.logProb, logits: null });
+    } else {
+      c.status = 'pruned';
+    }
+  });
+
+  state.steps.push(candidates);
+  state.beams = beams;
+  return state;
+}
+
+/**
+ * Best hypothesis so far by length-penalized score, live or finished.
+ */
+export function bestHypothesis(state, lengthPenalty) {
+  let best = null;
+  for (const h of [...state.beams, ...state.finished]) {
+    const score = lengthScore(h.logProb, h.ids.length - state.promptLength, lengthPenalty);
+    if (!best || score > best.score) best = { ...h, score };
+  }
+  return best;
+}
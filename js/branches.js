@@ -0,0 +1,130 @@
+/**
+ * Generation tree: every sequence the pipeline has run from the current
+ * prompt, as branches the user can go back to. A node is keyed by its token
+ * ids and hangs from the node with the longest prefix of them, so sampled
+ * steps, forced tokens and beam jumps all land in the same tree.
+ */
+
+let nodes = new Map(); // id → node
+let rootId = null;
+let currentId = null;
+let nextId = 0;
+
+/**
+ * Node: { id, parent, children, ids, tokens, text, added, forced, params,
+ *         logits, result, collapsed }
+ * `added` are the tokens after the parent's; `params` the sampling config
+ * the node was generated with; `result` what infer() returned for it, minus
+ * attentions and logit lens.
+ */
+function createNode(parent, snapshot) {
+  const node = {
+    id: nextId++,
+    parent: parent ? parent.id : null,
+    children: [],
+    ...snapshot,
+    added: snapshot.tokens.slice(parent ? parent.ids.length : 0),
+    collapsed: false,
+  };
+  nodes.set(node.id, node);
+  if (parent) parent.children.push(node.id);
+  return node;
+}
+
+function sameIds(a, b) {
+  return a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+function isPrefix(prefix, ids) {
+  return prefix.length < ids.length && prefix.every((id, i) => id === ids[i]);
+}
+
+/** Start a new tree from a prompt. Returns the root. */
+export function start(snapshot) {
+  nodes = new Map();
+  nextId = 0;
+  const root = createNode(null, snapshot);
+  rootId = currentId = root.id;
+  return root;
+}
+
+/**
+ * Record a sequence and make it current. A sequence already in the tree is
+ * refreshed in place (same ids, possibly new settings) instead of duplicated.
+ */
+export function record(snapshot) {
+  if (rootId === null) return start(snapshot);
+
+  let parent = nodes.get(rootId);
+  if (sameIds(parent.ids, snapshot.ids)) {
+    Object.assign(parent, snapshot);
+    currentId = parent.id;
+    return parent;
+  }
+  if (!isPrefix(parent.ids, snapshot.ids)) return start(snapshot);
+
+  // Walk down while a child still prefixes the new sequence
+  for (;;) {
+    const next = parent.children.map(id => nodes.get(id)).find(c => sameIds(c.ids, snapshot.ids) || isPrefix(c.ids, snapshot.ids));
+    if (!next) break;
+    if (sameIds(next.ids, snapshot.ids)) {
+      Object.assign(next, snapshot, { added: snapshot.tokens.slice(parent.ids.length) });
+      currentId = next.id;
+      return next;
+    }
+    parent = next;
+  }
+
+  const node = createNode(parent, snapshot);
+  // A sequence that fills the gap of an earlier jump (beam search) adopts it
+  for (const id of parent.children) {
+    const child = nodes.get(id);
+    if (child === node || !isPrefix(node.ids, child.ids)) continue;
+    child.parent = node.id;
+    child.added = child.tokens.slice(node.ids.length);
+    node.children.push(child.id);
+  }
+  parent.children = parent.children.filter(id => nodes.get(id).parent === parent.id);
+  currentId = node.id;
+  return node;
+}
+
+export function select(id) {
+  if (!nodes.has(id)) return null;
+  currentId = id;
+  return nodes.get(id);
+}
+
+export function toggleCollapsed(id) {
+  const node = nodes.get(id);
+  if (node) node.collapsed = !node.collapsed;
+}
+
+export function get(id) {
+  return nodes.get(id) ?? null;
+}
+
+export function getRoot() {
+  return rootId === null ? null : nodes.get(rootId);
+}
+
+export function getCurrentId() {
+  return currentId;
+}
+
+/** Ids from the root down to `id`, inclusive. */
+export function pathTo(id) {
+  const path = [];
+  for (let node = nodes.get(id); node; node = nodes.get(node.parent)) path.unshift(node.id);
+  return path;
+}
+
+export function size() {
+  return nodes.size;
+}
+
+export function clear() {
+  nodes = new Map();
+  rootId = currentId = null;
+  nextId = 0;
+}
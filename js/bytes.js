@@ -0,0 +1,113 @@
+/**
+ * Byte-level view of a token sequence. Tokenizers work on UTF-8 bytes, so a
+ * token can hold part of a character (an emoji or an accented letter split
+ * across two tokens), and decoding each token on its own turns those parts
+ * into U+FFFD. Here the bytes of the whole sequence are decoded together
+ * and every token learns which characters, or which bytes of a character,
+ * it holds.
+ */
+
+const decoder = new TextDecoder();
+
+/** Bytes as space-separated hex pairs: [0x20, 0x63] → "20 63". */
+export const hex = (bytes) => bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+
+/** Bytes in the UTF-8 sequence a lead byte starts; 0 for a continuation byte. */
+function sequenceLength(byte) {
+  if (byte < 0x80) return 1;
+  if (byte < 0xc0) return 0;
+  if (byte < 0xe0) return 2;
+  if (byte < 0xf0) return 3;
+  if (byte < 0xf8) return 4;
+  return 1; // never valid in UTF-8: decodes to U+FFFD on its own
+}
+
+/**
+ * Annotate `tokens` (each with `bytes` and `special`, see models.tokenBytes)
+ * with what they spell. Each token gains:
+ *
+ *   label         the characters that start in it, whitespace made visible;
+ *                 "+a9" style hex for a token that only continues a character
+ *   leadingSpace  whether its first byte is a space
+ *   chars         [{ char, code, from, to, length }] for every character it
+ *                 has bytes of: bytes from..to (1-based) of `length`
+ *   split         { group, part: 'start' | 'middle' | 'end' } when it shares
+ *                 a character with its neighbours, else null
+ *
+ * Tokens without bytes (special tokens, or none were read) keep their text.
+ */
+export function describeTokens(tokens) {
+  const flat = [];
+  tokens.forEach((t, i) => (t.bytes ?? []).forEach(byte => flat.push({ byte, token: i })));
+
+  // Characters of the whole sequence, with the token each of their bytes came from
+  const chars = [];
+  for (let k = 0; k < flat.length;) {
+    const need = sequenceLength(flat[k].byte) || 1;
+    let n = 1;
+    while (n < need && k + n < flat.length && sequenceLength(flat[k + n].byte) === 0) n++;
+    const bytes = flat.slice(k, k + n);
+    chars.push({
+      char: n === need ? decoder.decode(Uint8Array.from(bytes, b => b.byte)) : '�',
+      owners: bytes.map(b => b.token),
+    });
+    k += n;
+  }
+
+  const spelled = tokens.map(() => '');
+  const out = tokens.map(t => ({
+    ...t,
+    leadingSpace: t.bytes?.[0] === 0x20,
+    chars: [],
+    split: null,
+  }));
+
+  let groups = 0;
+  for (const { char, owners } of chars) {
+    const first = owners[0];
+    const last = owners[owners.length - 1];
+    spelled[first] += char;
+    for (let i = first; i <= last; i++) {
+      out[i].chars.push({
+        char,
+        code: char.codePointAt(0),
+        from: owners.indexOf(i) + 1,
+        to: owners.lastIndexOf(i) + 1,
+        length: owners.length,
+      });
+    }
+    if (first !== last) {
+      const group = out[first].split?.group ?? groups++;
+      for (let i = first; i <= last; i++) out[i].split = { group, part: 'middle' };
+    }
+  }
+
+  out.forEach((t, i) => {
+    if (t.split) {
+      const joinsPrev = out[i - 1]?.split?.group === t.split.group;
+      const joinsNext = out[i + 1]?.split?.group === t.split.group;
+      t.split.part = !joinsPrev ? 'start' : !joinsNext ? 'end' : 'middle';
+    }
+    t.label = labelOf(t, spelled[i]);
+  });
+  return out;
+}
+
+function labelOf(t, spelled) {
+  if (!t.bytes?.length) return t.text.trim() || '⎵';
+  if (!spelled) return `+${hex(t.bytes)}`;
+  return spelled.trim() || spelled.replace(/ /g, '⎵').replace(/\n/g, '↵').replace(/\t/g, '→');
+}
+
+/**
+ * One line per split character of `token`: `"😀" U+1F600, bytes 1-2 de 4`.
+ * Empty when all of its characters are whole.
+ */
+export function splitCharLines(token) {
+  return (token.chars ?? [])
+    .filter(c => c.from !== 1 || c.to !== c.length)
+    .map(({ char, code, from, to, length }) => {
+      const range = from === to ? `byte ${from}` : `bytes ${from}-${to}`;
+      return `"${char}" U+${code.toString(16).toUpperCase().padStart(4, '0')}, ${range} de ${length}`;
+    });
+}
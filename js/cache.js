@@ -0,0 +1,86 @@
+/**
+ * Model cache manager: what Transformers.js stored in Cache Storage (the
+ * worker's fileCache writes to the same cache), grouped by model, and
+ * eviction of a model's files.
+ */
+
+import { CACHE_NAME } from './weights.js';
+
+async function openCache() {
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch {
+    // No Cache Storage (file://, some private modes): nothing is cached
+    return null;
+  }
+}
+
+/**
+ * Split a cached URL into the model it belongs to and the file's path in it.
+ * Hub URLs look like <host>/<org>/<name>/resolve/<revision>/<path>; local
+ * folders keep config.json at their root and weights under onnx/.
+ */
+function parseUrl(url) {
+  const { origin, pathname } = new URL(url);
+  const hub = pathname.match(/^\/(.+)\/resolve\/[^/]+\/(.+)$/);
+  if (hub) return { model: decodeURIComponent(hub[1]), path: decodeURIComponent(hub[2]) };
+
+  const local = pathname.match(/^(.*?)\/((?:onnx\/)?[^/]+)$/);
+  if (!local) return { model: origin, path: pathname };
+  return { model: `${origin}${local[1]}`, path: local[2] };
+}
+
+/** Bytes of a cached response: its content-length, else the body itself. */
+async function sizeOf(cache, request) {
+  const response = await cache.match(request);
+  if (!response) return 0;
+  const length = Number(response.headers.get('content-length'));
+  return length > 0 ? length : (await response.blob()).size;
+}
+
+/**
+ * Cached models, biggest first: [{ model, size, files: [{ url, path, size }] }]
+ * where `model` is the hub id (or the folder URL of a local model).
+ */
+export async function listModels() {
+  const cache = await openCache();
+  if (!cache) return [];
+
+  const byModel = new Map();
+  for (const request of await cache.keys()) {
+    const { model, path } = parseUrl(request.url);
+    if (!byModel.has(model)) byModel.set(model, { model, size: 0, files: [] });
+    const entry = byModel.get(model);
+    const size = await sizeOf(cache, request);
+    entry.files.push({ url: request.url, path, size });
+    entry.size += size;
+  }
+
+  const models = [...byModel.values()];
+  models.forEach(m => m.files.sort((a, b) => b.size - a.size));
+  return models.sort((a, b) => b.size - a.size);
+}
+
+/** Delete every cached file of `model` (a listModels() id). Returns how many. */
+export async function deleteModel(model) {
+  const cache = await openCache();
+  if (!cache) return 0;
+  let deleted = 0;
+  for (const request of await cache.keys()) {
+    if (parseUrl(request.url).model === model && await cache.delete(request)) deleted++;
+  }
+  return deleted;
+}
+
+/**
+ * Storage the browser grants this origin: { usage, quota } in bytes, or
+ * null when it can't say.
+ */
+export async function estimate() {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Comparison mode: a second model in its own worker (models.createSession)
+ * runs the same text as the main pipeline, and diff() lines up the two
+ * next-token distributions: ranks, probability deltas and KL divergence.
+ * The second model can also be the same one in another dtype, to see what
+ * quantization changes.
+ */
+
+import * as models from './models.js';
+import * as pipeline from './pipeline.js';
+import { softmaxAll } from './sampling.js';
+import { topIndices } from './beam.js';
+import { describeTokens } from './bytes.js';
+
+const DIFF_ROWS = 8; // top tokens of each model listed in the diff
+const ALIGN_COUNT = 100; // tokens per side matched by text when vocabularies differ
+
+let session = null;
+let lastResult = null;
+
+/**
+ * Load `modelId` in the comparison worker, starting it if needed.
+ * `options` = { dtype, device, numThreads } as for models.loadModel().
+ */
+export async function open(modelId, options, onProgress) {
+  session ??= models.createSession();
+  lastResult = null;
+  return session.loadModel(modelId, onProgress, options);
+}
+
+/** Stop the comparison worker and free its model. */
+export function close() {
+  session?.terminate();
+  session = null;
+  lastResult = null;
+}
+
+export function isOpen() {
+  return session !== null && session.getLoadedModelId() !== null;
+}
+
+export function getModelId() {
+  return session?.getLoadedModelId() ?? null;
+}
+
+export function getDtype() {
+  return session?.getDtype() ?? null;
+}
+
+/**
+ * Run `text` through the comparison model with the main pipeline's sampling
+ * settings and draw. Logit biases name the main tokenizer's ids, so they only
+ * carry over when both models tokenize the text the same way.
+ * Returns the same shape as pipeline.run(): { tokens, perplexity,
+ * predictions, sampling, attentions, lens, forwardMs, modelConfig, logits, ids },
+ * where modelConfig.dtype is the dtype loaded here.
+ */
+export async function run(text) {
+  if (!isOpen()) return null;
+  const { tokens, ids } = await session.call('tokenize', { text });
+  const { logits, tokenLogProbs, attentions, hiddenStates, ms } = await session.call('forward', { ids, logitsOnly: false });
+  const bytes = await session.call('tokenBytes', { ids });
+
+  let lens = null;
+  if (hiddenStates) {
+    try {
+      lens = await session.call('logitLens', { hiddenStates, k: 5 });
+    } catch (err) {
+      console.warn('[compare] logit lens unavailable:', err.message);
+    }
+  }
+
+  lastResult = {
+    tokens: describeTokens(tokens.map((t, i) => ({ ...t, ...bytes[i], logProb: tokenLogProbs[i] }))),
+    perplexity: pipeline.perplexity(tokenLogProbs),
+    ...(await predictionsFor(logits, ids)),
+    attentions,
+    lens,
+    forwardMs: ms,
+    modelConfig: { ...models.getConfig(session.getLoadedModelId()), dtype: session.getDtype() },
+    logits,
+    ids,
+  };
+  return lastResult;
+}
+
+/**
+ * Re-run sampling on the last result's logits after a settings change.
+ * Returns { predictions, sampling } or null.
+ */
+export async function recomputePredictions() {
+  if (!lastResult || !isOpen()) return null;
+  Object.assign(lastResult, await predictionsFor(lastResult.logits, lastResult.ids));
+  return lastResult;
+}
+
+async function predictionsFor(logits, ids) {
+  const params = pipeline.samplingParams();
+  if (!sameTokens(ids, pipeline.getLastIds())) params.logitBias = [];
+  return pipeline.computePredictions(logits, pipeline.getDraw(), {
+    params,
+    context: ids,
+    decode: (tokenIds) => session.decodeTokens(tokenIds),
+  });
+}
+
+function sameTokens(a, b) {
+  return !!a && !!b && a.length === b.length && a.every((id, i) => id === b[i]);
+}
+
+/** KL(p ‖ q) in nats over aligned entries. */
+function kl(p, q) {
+  let sum = 0;
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] > 0) sum += p[i] * Math.log(p[i] / Math.max(q[i], 1e-300));
+  }
+  return sum;
+}
+
+/** Mean and largest |b - a| between two logit vectors of the same vocabulary. */
+function logitDelta(a, b) {
+  let sum = 0;
+  let max = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = Math.abs(b[i] - a[i]);
+    sum += d;
+    if (d > max) max = d;
+  }
+  return { mean: sum / a.length, max };
+}
+
+/**
+ * Compare the model distributions (T = 1, before any processor) of the main
+ * pipeline (A: { logits, ids, predictions }) and the comparison model (B, a
+ * run() result) for the next token.
+ *
+ * With the same vocabulary and prompt ids the KL is exact over the whole
+ * vocabulary and ranks are exact. Otherwise tokens are matched by their text
+ * among each side's top ALIGN_COUNT, everything else pooled into one "rest"
+ * bucket per side: the KL of that coarser split is a lower bound.
+ *
+ * Returns { exact, klAB, klBA, logitDelta, rows: [{ word, probA, probB, rankA, rankB, logitA, logitB }] }
+ * sorted by A's probability; a prob / rank is null when the token could not
+ * be matched on that side. Raw logits only compare within one vocabulary:
+ * logitDelta ({ mean, max } of |B - A| over it) and the row logits are null
+ * for aligned diffs.
+ */
+export async function diff(a, b) {
+  const pA = softmaxAll(a.logits);
+  const pB = softmaxAll(b.logits);
+  const topA = topIndices(pA, ALIGN_COUNT);
+  const topB = topIndices(pB, ALIGN_COUNT);
+
+  if (pA.length === pB.length && sameTokens(a.ids, b.ids)) {
+    const rankOf = (probs, id) => {
+      let rank = 1;
+      for (let i = 0; i < probs.length; i++) if (probs[i] > probs[id]) rank++;
+      return rank;
+    };
+    const ids = [...new Set([...topA.slice(0, DIFF_ROWS), ...topB.slice(0, DIFF_ROWS)])];
+    const words = await models.decodeTokens(ids);
+    return {
+      exact: true,
+      klAB: kl(pA, pB),
+      klBA: kl(pB, pA),
+      logitDelta: logitDelta(a.logits, b.logits),
+      rows: ids.map((id, i) => ({
+        word: words[i],
+        probA: pA[id],
+        probB: pB[id],
+        rankA: rankOf(pA, id),
+        rankB: rankOf(pB, id),
+        logitA: a.logits[id],
+        logitB: b.logits[id],
+      })).sort((x, y) => y.probA - x.probA),
+    };
+  }
+
+  // Different tokenizers: align by decoded text
+  const [wordsA, wordsB] = await Promise.all([models.decodeTokens(topA), session.decodeTokens(topB)]);
+  const byText = (ids, words, probs) => {
+    const map = new Map();
+    ids.forEach((id, i) => {
+      if (!map.has(words[i])) map.set(words[i], { prob: probs[id], rank: i + 1 });
+    });
+    return map;
+  };
+  const A = byText(topA, wordsA, pA);
+  const B = byText(topB, wordsB, pB);
+
+  const shared = [...A.keys()].filter(text => B.has(text));
+  const bucketA = shared.map(text => A.get(text).prob);
+  const bucketB = shared.map(text => B.get(text).prob);
+  bucketA.push(Math.max(0, 1 - bucketA.reduce((sum, p) => sum + p, 0)));
+  bucketB.push(Math.max(0, 1 - bucketB.reduce((sum, p) => sum + p, 0)));
+
+  const texts = [...new Set([...[...A.keys()].slice(0, DIFF_ROWS), ...[...B.keys()].slice(0, DIFF_ROWS)])];
+  return {
+    exact: false,
+    klAB: kl(bucketA, bucketB),
+    klBA: kl(bucketB, bucketA),
+    logitDelta: null,
+    rows: texts.map(text => ({
+      word: text,
+      probA: A.get(text)?.prob ?? null,
+      probB: B.get(text)?.prob ?? null,
+      rankA: A.get(text)?.rank ?? null,
+      rankB: B.get(text)?.rank ?? null,
+      logitA: null,
+      logitB: null,
+    })).sort((x, y) => (y.probA ?? 0) - (x.probA ?? 0)),
+  };
+}
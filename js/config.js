@@ -4,8 +4,26 @@
 
 const state = {
   temperature: 1.0,
-  topK: 10,
+  topK: 10, // 0 = off
   topP: 0.9,
+  // Advanced logit processors (sampling.js applies them in a fixed order); defaults are "off"
+  repetitionPenalty: 1,
+  presencePenalty: 0,
+  frequencyPenalty: 0,
+  noRepeatNgram: 0,
+  minP: 0,
+  typicalP: 1,
+  epsilon: 0,
+  eta: 0,
+  logitBias: [], // [{ tokenId, word, bias }], applied before temperature; bias -Infinity = banned
+  decoding: 'sample', // 'sample' or 'beam'
+  beamWidth: 3,
+  lengthPenalty: 1,
+  seed: 42, // drives every sampling draw, see pipeline.js
+  attentionHead: 'avg', // 'avg' or a head index
+  attribution: 'off', // input-token occlusion: 'off', 'remove' or 'replace'
+  device: 'wasm', // ONNX Runtime backend: 'wasm' or 'webgpu' (falls back to wasm when unavailable)
+  numThreads: 0, // WASM threads, 0 = ONNX Runtime's default
   modelId: 'onnx-community/gpt2-ONNX',
 };
 
@@ -1,208 +1,446 @@
 /**
- * Model definitions and Transformers.js v3 integration.
- * Loads real GPT-2 family models for browser inference.
+ * Model definitions and the main-thread side of the inference worker.
+ * Transformers.js runs in worker.js; every call here is an async proxy
+ * that posts a request and resolves with the worker's reply.
  */
 
-let transformers = null;
+import { configFromPretrained } from './architectures.js';
 
-async function loadTransformers() {
-  if (!transformers) {
-    transformers = await import('https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1');
-    transformers.env.allowLocalModels = false;
-  }
-  return transformers;
-}
-
-export const MODEL_CONFIGS = {
-  'onnx-community/distilgpt2-ONNX': {
-    name: 'DistilGPT-2',
-    layers: 6,
-    hidden_dim: 768,
-    ffn_dim: 3072,
-    vocab_size: 50257,
-    params: '82M',
-    heads: 12,
-    dtype: 'fp32',
-  },
-  'onnx-community/gpt2-ONNX': {
-    name: 'GPT-2',
-    layers: 12,
-    hidden_dim: 768,
-    ffn_dim: 3072,
-    vocab_size: 50257,
-    params: '124M',
-    heads: 12,
-    dtype: 'fp32',
-  },
-  'onnx-community/gpt2-medium-ONNX': {
-    name: 'GPT-2 Medium',
-    layers: 24,
-    hidden_dim: 1024,
-    ffn_dim: 4096,
-    vocab_size: 50257,
-    params: '355M',
-    heads: 16,
-    dtype: 'q8',
-  },
-  'onnx-community/gpt2-large-ONNX': {
-    name: 'GPT-2 Large',
-    layers: 36,
-    hidden_dim: 1280,
-    ffn_dim: 5120,
-    vocab_size: 50257,
-    params: '774M',
-    heads: 20,
-    dtype: 'q8',
-  },
+// Built-in entries. Everything else (layers, dims, params) comes from each
+// model's own config.json once it has been inspected or loaded.
+const PRESETS = {
+  'onnx-community/distilgpt2-ONNX': { name: 'DistilGPT-2', dtype: 'fp32' },
+  'onnx-community/gpt2-ONNX': { name: 'GPT-2', dtype: 'fp32' },
+  'onnx-community/gpt2-medium-ONNX': { name: 'GPT-2 Medium', dtype: 'q8' },
+  'onnx-community/gpt2-large-ONNX': { name: 'GPT-2 Large', dtype: 'q8' },
+  'HuggingFaceTB/SmolLM2-135M-Instruct': { name: 'SmolLM2 135M', dtype: 'q8' },
+  'onnx-community/Qwen2.5-0.5B-Instruct': { name: 'Qwen2.5 0.5B', dtype: 'q8' },
 };
 
-let currentTokenizer = null;
-let currentModel = null;
-let currentModelId = null;
+const STORAGE_KEY = 'llm-viz:models';
+
+// Files behind each dropped model (id → [{ path, file }]), sent along with
+// every load so any worker, including a restarted one, can read them
+const droppedFiles = new Map();
+
+/**
+ * Model registry: id → { name, dtype, variants?, source?, url?, layers, hidden_dim, …, arch }.
+ * `dtype` is the ONNX variant to load and `variants` the ones the model
+ * ships ([{ dtype, size }], see getVariants). Shape fields and `arch` (see
+ * architectures.js) are missing until the model's config.json has been read.
+ */
+export const MODEL_CONFIGS = loadRegistry();
+
+// ─── Worker messaging ───
+
+/**
+ * One inference worker: its own Transformers.js instance, tokenizer and KV
+ * cache. The app talks to a single session through this module's exports;
+ * comparison mode (compare.js) opens a second one with createSession().
+ */
+export function createSession() {
+  let worker = null;
+  let nextRequestId = 0;
+  const pending = new Map(); // request id → { resolve, reject, onProgress }
+
+  let modelId = null;
+  let dtype = null;
+  let loadStats = null;
+  let threads = null; // numThreads the worker's ONNX Runtime started with, null before any load
+  let capabilities = { attentions: false, hiddenStates: false };
+  const decodeCache = new Map(); // token id → text, for the loaded tokenizer
+
+  function getWorker() {
+    if (!worker) {
+      worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = (e) => {
+        const err = new Error(e.message || 'Inference worker crashed');
+        pending.forEach(req => req.reject(err));
+        pending.clear();
+      };
+    }
+    return worker;
+  }
+
+  function handleWorkerMessage(e) {
+    const { id, result, error, progress } = e.data;
+    const req = pending.get(id);
+    if (!req) return;
+    if (progress) {
+      req.onProgress?.(progress);
+      return;
+    }
+    pending.delete(id);
+    if (error) req.reject(new Error(error));
+    else req.resolve(result);
+  }
+
+  function call(type, payload, onProgress) {
+    return new Promise((resolve, reject) => {
+      const id = ++nextRequestId;
+      pending.set(id, { resolve, reject, onProgress });
+      getWorker().postMessage({ id, type, payload });
+    });
+  }
+
+  /** Stop the worker and free its model; the next call starts a fresh one. */
+  function terminate() {
+    worker?.terminate();
+    worker = null;
+    const err = new Error('Worker terminated');
+    pending.forEach(req => req.reject(err));
+    pending.clear();
+    modelId = null;
+    dtype = null;
+    loadStats = null;
+    threads = null;
+    decodeCache.clear();
+  }
+
+  return {
+    call,
+    terminate,
+
+    /**
+     * Load `id` in its registry dtype (or `options.dtype`) on `options.device`
+     * ('wasm' | 'webgpu') with `options.numThreads` WASM threads (0 = default).
+     * ONNX Runtime fixes its thread count when it starts, so a new count
+     * restarts the worker.
+     */
+    async loadModel(id, onProgress, { dtype: variant = null, device = 'wasm', numThreads = 0 } = {}) {
+      const config = MODEL_CONFIGS[id];
+      if (!config) throw new Error(`Unknown model: ${id}`);
+      if (threads !== null && threads !== numThreads) terminate();
+      threads = numThreads;
+
+      const loaded = await call('load', {
+        modelId: id,
+        config: { ...config, dtype: variant || config.dtype },
+        files: droppedFiles.get(id),
+        device,
+        numThreads,
+      }, onProgress);
+
+      // Refresh the shape fields from the config.json the model actually shipped
+      Object.assign(config, configFromPretrained(loaded.config));
+      saveRegistry();
+
+      modelId = id;
+      dtype = loaded.stats.dtype;
+      loadStats = loaded.stats;
+      capabilities = loaded.capabilities;
+      decodeCache.clear();
+      return config;
+    },
+
+    getLoadedModelId: () => modelId,
+    getDtype: () => dtype,
+    getLoadStats: () => loadStats,
+    getCapabilities: () => capabilities,
+
+    /**
+     * Tokenize `text` with the tokenizer of registered model `id` without
+     * loading its weights. Returns { ids, tokens }, see tokenizeWith in worker.js.
+     */
+    async tokenizeWith(id, text) {
+      const config = MODEL_CONFIGS[id];
+      if (!config) throw new Error(`Unknown model: ${id}`);
+      return call('tokenizeWith', { modelId: id, config, files: droppedFiles.get(id), text });
+    },
+
+    async decodeTokens(ids) {
+      if (!modelId) return ids.map(id => `[${id}]`);
+      const missing = ids.filter(id => !decodeCache.has(id));
+      if (missing.length > 0) {
+        const texts = await call('decode', { ids: missing });
+        missing.forEach((id, i) => decodeCache.set(id, texts[i]));
+      }
+      return ids.map(id => decodeCache.get(id));
+    },
+
+  };
+}
+
+const main = createSession();
+const call = main.call;
+
+// ─── Public API ───
 
 export function getConfig(modelId) {
   return MODEL_CONFIGS[modelId];
 }
 
 export function getLoadedModelId() {
-  return currentModelId;
+  return main.getLoadedModelId();
+}
+
+/** dtype of the loaded model ('fp32', 'q8', …). */
+export function getLoadedDtype() {
+  return main.getDtype();
+}
+
+/**
+ * How the last load went: { dtype, device, fallback, threads, bytes, loadMs }
+ * with the backend in use (fallback: why WebGPU was not, or null), its WASM
+ * threads and the size of the ONNX files read (null when Transformers.js
+ * reported none).
+ */
+export function getLoadStats() {
+  return main.getLoadStats();
+}
+
+/**
+ * What the loaded ONNX export can give us beyond logits.
+ */
+export function getCapabilities() {
+  return main.getCapabilities();
 }
 
 export function getAvailableModels() {
   return Object.entries(MODEL_CONFIGS).map(([id, cfg]) => ({ id, ...cfg }));
 }
 
+// ─── Registry ───
+
+function loadRegistry() {
+  const registry = {};
+  for (const [id, preset] of Object.entries(PRESETS)) registry[id] = { ...preset };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    for (const [id, entry] of Object.entries(saved)) {
+      // Presets fix the name; the dtype is whatever the user picked last
+      registry[id] = { ...entry, ...PRESETS[id], ...(entry.dtype && { dtype: entry.dtype }) };
+    }
+  } catch {
+    // No storage (private mode, file://): start from the presets
+  }
+  return registry;
+}
+
+/** Persist everything except dropped files, which are gone after a reload. */
+function saveRegistry() {
+  const saved = {};
+  for (const [id, entry] of Object.entries(MODEL_CONFIGS)) {
+    if (entry.source !== 'dropped') saved[id] = entry;
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Quota or privacy settings: the registry just won't survive a reload
+  }
+}
+
 /**
- * Load a model and tokenizer. Shows progress via callback.
+ * Add a model to the registry from what the user typed: a hub id
+ * ("org/model-ONNX") or a folder served next to index.html ("./models/gpt2").
+ * Returns the registry id.
  */
-export async function loadModel(modelId, onProgress) {
-  const config = MODEL_CONFIGS[modelId];
-  if (!config) throw new Error(`Unknown model: ${modelId}`);
+export async function registerModel(input) {
+  input = input.trim();
+  if (/^(\.{0,2}\/|https?:)/.test(input)) return registerLocalModel({ path: input });
+  if (!/^[\w.-]+\/[\w.-]+$/.test(input)) throw new Error('Usa "organizacion/modelo" o una ruta como ./models/gpt2');
 
-  onProgress?.({ phase: 'init', message: 'Inicializando Transformers.js...' });
-  const tf = await loadTransformers();
+  const { config: json, variants } = await call('inspect', { repo: input });
+  if (variants.length === 0) throw new Error('El repositorio no tiene onnx/model*.onnx');
 
-  // Load tokenizer
-  onProgress?.({ phase: 'tokenizer', message: 'Cargando tokenizer...' });
-  currentTokenizer = await tf.AutoTokenizer.from_pretrained(modelId);
+  const shape = configFromPretrained(json);
+  const dtypes = variants.map(v => v.dtype);
+  // 8-bit weights keep the bigger models downloadable
+  const dtype = parseParams(shape.params) > 300e6 && dtypes.includes('q8') ? 'q8' : dtypes[0];
+  MODEL_CONFIGS[input] = { name: input.split('/').pop().replace(/-ONNX$/i, ''), dtype, variants, ...shape, ...PRESETS[input] };
+  saveRegistry();
+  return input;
+}
 
-  // Load model with progress (track total bytes across all files)
-  onProgress?.({ phase: 'model', message: 'Descargando modelo...', progress: 0 });
+function parseParams(text) {
+  return parseFloat(text) * (text.endsWith('B') ? 1e9 : 1e6);
+}
 
-  const fileProgress = {}; // { filename: { loaded, total } }
+/**
+ * Register a model that is not on the hub, built from its own config.json:
+ * either a folder served next to index.html ({ path }) or files the user
+ * dropped ({ files: [{ path, file }] }). Returns the new MODEL_CONFIGS id.
+ */
+export async function registerLocalModel({ path, files }) {
+  let id, name, request;
+  if (files) {
+    const dropped = normalizeDroppedFiles(files);
+    name = dropped.name;
+    id = `dropped/${name.replace(/[^\w.-]/g, '_')}`;
+    request = { id, files: dropped.files };
+    droppedFiles.set(id, dropped.files);
+  } else {
+    const url = new URL(path.replace(/\/?$/, '/'), document.baseURI).href;
+    name = path.replace(/\/$/, '').split('/').pop();
+    id = `local:${path.replace(/^\.\//, '').replace(/\/$/, '')}`;
+    request = { url };
+  }
 
-  currentModel = await tf.AutoModelForCausalLM.from_pretrained(modelId, {
-    dtype: config.dtype || 'fp32',
-    progress_callback: (p) => {
-      if (p.status === 'initiate' && p.name) {
-        fileProgress[p.name] = { loaded: 0, total: 0 };
-      }
-      if (p.status === 'progress' && p.name) {
-        fileProgress[p.name] = { loaded: p.loaded || 0, total: p.total || 0 };
-        let totalLoaded = 0, totalSize = 0;
-        for (const f of Object.values(fileProgress)) {
-          totalLoaded += f.loaded;
-          totalSize += f.total;
-        }
-        const overall = totalSize > 0 ? (totalLoaded / totalSize) * 100 : 0;
-        onProgress?.({
-          phase: 'model',
-          message: `Descargando modelo... ${Math.round(overall)}%`,
-          progress: overall,
-        });
-      }
-      if (p.status === 'done' && p.name) {
-        const f = fileProgress[p.name];
-        if (f) f.loaded = f.total;
-      }
-    },
-  });
+  const { config: json, variants } = await call('inspect', request);
+  if (variants.length === 0) throw new Error('No se encontro ningun onnx/model*.onnx');
+
+  MODEL_CONFIGS[id] = {
+    name,
+    dtype: variants[0].dtype,
+    variants,
+    source: files ? 'dropped' : 'local',
+    url: request.url,
+    ...configFromPretrained(json),
+  };
+  saveRegistry();
+  return id;
+}
+
+/**
+ * The ONNX dtypes a model ships: [{ dtype, size }] with size in bytes (graph
+ * plus external data, null when unknown). Read once and kept in the registry.
+ */
+export async function getVariants(id) {
+  const config = MODEL_CONFIGS[id];
+  if (!config.variants) {
+    const source = config.source === 'dropped' ? { id } : config.source === 'local' ? { url: config.url } : { repo: id };
+    config.variants = await call('variants', source);
+    saveRegistry();
+  }
+  return config.variants;
+}
+
+/** Load `id` as `dtype` from now on (takes effect on the next load). */
+export function setDtype(id, dtype) {
+  MODEL_CONFIGS[id].dtype = dtype;
+  saveRegistry();
+}
+
+/**
+ * Dropped folders arrive as "<folder>/config.json", loose files as "model.onnx".
+ * Strip the shared folder and move loose ONNX files under onnx/, which is
+ * where Transformers.js looks for them.
+ */
+function normalizeDroppedFiles(files) {
+  const firstDirs = new Set(files.map(f => (f.path.includes('/') ? f.path.split('/')[0] : '')));
+  const folder = firstDirs.size === 1 ? [...firstDirs][0] : '';
+
+  return {
+    name: folder || 'modelo-local',
+    files: files.map(({ path, file }) => {
+      let rel = folder ? path.slice(folder.length + 1) : path;
+      if (/\.onnx(_data)?$/.test(rel) && !rel.includes('/')) rel = `onnx/${rel}`;
+      return { path: rel, file };
+    }),
+  };
+}
+
+/**
+ * Load a model and tokenizer in the worker. Shows progress via callback.
+ * `options` = { dtype, device, numThreads }, see createSession().
+ */
+export function loadModel(modelId, onProgress, options) {
+  return main.loadModel(modelId, onProgress, options);
+}
 
-  currentModelId = modelId;
-  onProgress?.({ phase: 'ready', message: 'Modelo listo' });
-  return config;
+/**
+ * Abort a load in progress. Transformers.js takes no abort signal, so the
+ * worker is stopped: its fetches die with it and nothing half-downloaded
+ * reaches the cache. The previous model is gone too; load it again (from
+ * the cache) to get it back.
+ */
+export function cancelLoad() {
+  main.terminate();
 }
 
 /**
  * Tokenize text using the loaded tokenizer.
- * Returns { tokens: [{id, text}], encoded: {input_ids, attention_mask} }
+ * Returns { tokens: [{id, text}], ids }
  */
 export function tokenize(text) {
-  if (!currentTokenizer) throw new Error('Tokenizer not loaded');
-  const encoded = currentTokenizer(text);
-  const ids = Array.from(encoded.input_ids.data).map(Number);
-  const tokens = ids.map(id => ({
-    id,
-    text: currentTokenizer.decode([id]),
-  }));
-  return { tokens, encoded };
+  return call('tokenize', { text });
+}
+
+/**
+ * Raw vocabulary entry and UTF-8 bytes of each token id:
+ * [{ raw, bytes, special }], see bytes.describeTokens.
+ */
+export function tokenBytes(ids) {
+  return call('tokenBytes', { ids });
+}
+
+/**
+ * The loaded tokenizer's BPE merges on `text`, step by step, one trace per
+ * pre-tokenized piece. Returns { byteLevel, pieces, ids, expected, matches },
+ * see bpeTrace in worker.js.
+ */
+export function bpeTrace(text) {
+  return call('bpeTrace', { text });
 }
 
 /**
  * Run forward pass and return logits for the last position.
- * Returns { logits: Float32Array, vocabSize: number }
- */
-export async function forward(encoded) {
-  if (!currentModel) throw new Error('Model not loaded');
-  const config = MODEL_CONFIGS[currentModelId];
-
-  // Yield to event loop before heavy ONNX inference
-  await new Promise(r => setTimeout(r, 10));
-
-  const output = await currentModel(encoded);
-
-  const vocabSize = config.vocab_size;
-  // Handle both v2 tensor shapes
-  const dims = encoded.input_ids.dims || [1, encoded.input_ids.data.length];
-  const seqLen = dims[1] || dims[0];
-  const start = (seqLen - 1) * vocabSize;
-  const rawLogits = output.logits.data;
-  const lastLogits = new Float32Array(vocabSize);
-  for (let i = 0; i < vocabSize; i++) {
-    lastLogits[i] = Number(rawLogits[start + i]);
-  }
+ * Returns { logits: Float32Array, vocabSize: number, tokenLogProbs, attentions, hiddenStates, cachedTokens, ms }
+ * where tokenLogProbs[i] is log p(ids[i] | ids[<i]) (null for i = 0),
+ * attentions is one { dims: [1, heads, q, k], data } per layer and
+ * hiddenStates the last position's vector after each layer (index 0 = embeddings);
+ * either of those two is null when the export lacks those outputs or `logitsOnly` is set;
+ * ms is how long the model call took.
+ */
+export function forward(ids, { logitsOnly = false } = {}) {
+  return call('forward', { ids, logitsOnly });
+}
 
-  return { logits: lastLogits, vocabSize };
+/**
+ * Occlusion attribution: p(target) after `ids` with each token removed
+ * (mode 'remove') or replaced by a filler token ('replace').
+ * Returns { base, probs: [p(target) without token i | null], filler }.
+ */
+export function occlusion(ids, target, mode, onProgress) {
+  return call('occlusion', { ids, target, mode }, onProgress);
+}
+
+/**
+ * Run `ids` with `layer` (0-based) knocked out, or only attention head `head`
+ * of it: their output projections are zeroed in a patched copy of the model.
+ * Returns { logits } for the last position.
+ */
+export function ablate(ids, layer, head, onProgress) {
+  return call('ablate', { ids, layer, head }, onProgress);
 }
 
 /**
  * Decode a token ID back to text.
  */
-export function decodeToken(id) {
-  if (!currentTokenizer) return `[${id}]`;
-  return currentTokenizer.decode([id]);
+export async function decodeToken(id) {
+  const [text] = await decodeTokens([id]);
+  return text;
 }
 
 /**
- * Generate simulated embedding for visualization.
- * Real embeddings are inside the ONNX model and not directly accessible,
- * so we generate deterministic vectors with the correct dimensions.
+ * Decode several token IDs (one string each), asking the worker only for
+ * the ones not seen yet.
  */
-export function getEmbeddingVector(tokenId, dims) {
-  const { seededRandom } = await_utils();
-  const rng = seededRandom(tokenId * 7919 + 31);
-  const vec = new Float32Array(dims);
-  for (let i = 0; i < dims; i++) {
-    vec[i] = (rng() * 2 - 1) * 0.15;
-  }
-  return vec;
-}
-
-// Lazy import utils to avoid circular deps
-let _utils = null;
-function await_utils() {
-  if (!_utils) {
-    // Inline the seededRandom to avoid import issues
-    _utils = {
-      seededRandom(seed) {
-        let t = (seed >>> 0) + 0x6D2B79F5;
-        return function () {
-          t = Math.imul(t ^ (t >>> 15), t | 1);
-          t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-          return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-        };
-      }
-    };
-  }
-  return _utils;
+export function decodeTokens(ids) {
+  return main.decodeTokens(ids);
+}
+
+/**
+ * Tokens whose text contains `query` (or the token with that id).
+ * Returns [{ tokenId, word }], best matches first.
+ */
+export function searchVocab(query, limit = 30) {
+  return call('searchVocab', { query, limit });
+}
+
+/**
+ * Real embedding vectors for a token at a given position.
+ * Returns { token: wte[id], position: wpe[pos] | null, sum: token + position }.
+ */
+export function getEmbeddingVector(tokenId, position) {
+  return call('embedding', { tokenId, position });
+}
+
+/**
+ * Logit lens over the hidden states returned by forward().
+ * Returns [{ layer, top: [{ tokenId, word, prob }] }] with layer 0-based.
+ */
+export function logitLens(hiddenStates, k = 5) {
+  return call('logitLens', { hiddenStates, k });
 }
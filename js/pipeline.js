@@ -4,139 +4,367 @@
 
 import * as models from './models.js';
 import * as config from './config.js';
+import { seededRandom } from './utils.js';
+import { sample, softmaxAll } from './sampling.js';
+import { createBeams, advance, bestHypothesis } from './beam.js';
+import * as branches from './branches.js';
+import { describeTokens } from './bytes.js';
 
 let lastLogits = null;
 let lastTokens = null;
+let lastIds = null;
 let lastModelConfig = null;
 let currentText = '';
 
+// Sampling randomness: one uniform draw per generated token, taken from a
+// stream seeded with config.seed and restarted with each new prompt, so the
+// same prompt, seed and settings always give the same continuation.
+let rng = null;
+let draws = [];
+let stepIndex = 0; // tokens generated since the prompt
+
+// Live beam search started from the current sequence: beam.js state plus the
+// prompt's tokens and text, so the visible sequence can follow the best beam
+let beamState = null;
+
+function drawFor(step) {
+  while (draws.length <= step) draws.push(rng());
+  return draws[step];
+}
+
+/**
+ * Restart the draw stream from config.seed. The current step is re-drawn
+ * from the new stream on the next recomputePredictions().
+ */
+export function reseed() {
+  rng = seededRandom(config.get('seed'));
+  draws = [];
+}
+
 /**
- * Run the full pipeline: tokenize + inference.
- * Returns { tokens, predictions, modelConfig }
+ * Run the full pipeline: tokenize + inference. Starts a new generation tree.
+ * Returns { tokens, perplexity, predictions, sampling, attentions, lens, cachedTokens, forwardMs, modelConfig, seed, step, branch }
+ * where every token carries `logProb`, the log-probability the model gave it,
+ * and its bytes and label (see bytes.describeTokens).
  */
 export async function run(text) {
   currentText = text;
   lastModelConfig = models.getConfig(models.getLoadedModelId());
+  reseed();
+  stepIndex = 0;
+  beamState = null;
 
-  const { tokens, encoded } = models.tokenize(text);
+  const { tokens, ids } = await models.tokenize(text);
   lastTokens = tokens;
+  lastIds = ids;
+
+  const result = await infer();
+  return { ...result, branch: branches.start(snapshot(result)).id };
+}
 
-  const { logits } = await models.forward(encoded);
+/**
+ * Append one token id to the current sequence and run inference again.
+ * The text is not re-tokenized: the worker reuses its KV cache and only
+ * feeds the new token, so each generation step costs the same.
+ * `forced` marks a token the user picked instead of the sampler.
+ */
+export async function step(tokenId, { forced = false } = {}) {
+  if (!lastIds) return null;
+  const text = await models.decodeToken(tokenId);
+
+  currentText += text;
+  lastIds = [...lastIds, tokenId];
+  const token = forced
+    ? { id: tokenId, text, forced: true, step: stepIndex }
+    : { id: tokenId, text, seed: config.get('seed'), step: stepIndex };
+  lastTokens = [...lastTokens, token];
+  stepIndex++;
+  beamState = null;
+
+  const result = await infer();
+  return { ...result, branch: branches.record(snapshot(result, forced)).id };
+}
+
+async function infer() {
+  const { logits, tokenLogProbs, attentions, hiddenStates, cachedTokens, ms } = await models.forward(lastIds);
   lastLogits = logits;
+  const bytes = await models.tokenBytes(lastIds);
+
+  const lens = await lensOf(hiddenStates);
+  const { predictions, sampling } = await computePredictions(logits, drawFor(stepIndex));
 
-  const predictions = computePredictions(
-    logits,
-    config.get('temperature'),
-    config.get('topK'),
-    config.get('topP')
-  );
+  return {
+    tokens: describeTokens(lastTokens.map((t, i) => ({ ...t, ...bytes[i], logProb: tokenLogProbs[i] }))),
+    perplexity: perplexity(tokenLogProbs),
+    predictions,
+    sampling,
+    attentions,
+    lens,
+    cachedTokens,
+    forwardMs: ms,
+    modelConfig: lastModelConfig,
+    seed: config.get('seed'),
+    step: stepIndex,
+  };
+}
 
-  return { tokens, predictions, modelConfig: lastModelConfig };
+/** Logit lens needs per-layer hidden states, only present in some exports. */
+async function lensOf(hiddenStates) {
+  if (!hiddenStates) return null;
+  try {
+    return await models.logitLens(hiddenStates);
+  } catch (err) {
+    console.warn('[pipeline] logit lens unavailable:', err.message);
+    return null;
+  }
 }
 
 /**
- * Recompute predictions with new temperature/top-k/top-p (no re-inference needed).
+ * exp of the mean negative log-likelihood over the scored tokens (all but
+ * the first). Null for a single token.
  */
-export function recomputePredictions() {
+export function perplexity(tokenLogProbs) {
+  const scored = tokenLogProbs.slice(1);
+  if (scored.length === 0) return null;
+  return Math.exp(-scored.reduce((sum, lp) => sum + lp, 0) / scored.length);
+}
+
+/**
+ * Recompute predictions with new sampling settings (no re-inference needed).
+ * The step keeps its draw, so only a change in the distribution moves the pick.
+ * Returns { predictions, sampling }.
+ */
+export async function recomputePredictions() {
+  if (!lastLogits) return null;
+  return computePredictions(lastLogits, drawFor(stepIndex));
+}
+
+/**
+ * Input attribution for the model's top next token (argmax of the raw
+ * logits): how much its probability falls when each input token is removed
+ * or replaced ('remove' | 'replace', see models.occlusion).
+ * Returns { tokenId, word, mode, base, filler, scores: [{ prob, drop } | null], max }
+ * where `max` is the largest |drop|, to scale colors by.
+ */
+export async function attribute(mode, onProgress) {
   if (!lastLogits) return null;
-  return computePredictions(
-    lastLogits,
-    config.get('temperature'),
-    config.get('topK'),
-    config.get('topP')
-  );
+  let tokenId = 0;
+  for (let i = 1; i < lastLogits.length; i++) if (lastLogits[i] > lastLogits[tokenId]) tokenId = i;
+
+  const { base, probs, filler } = await models.occlusion(lastIds, tokenId, mode, onProgress);
+  const scores = probs.map(prob => (prob == null ? null : { prob, drop: base - prob }));
+  return {
+    tokenId,
+    word: await models.decodeToken(tokenId),
+    mode,
+    base,
+    filler: filler == null ? null : await models.decodeToken(filler),
+    scores,
+    max: Math.max(1e-9, ...scores.map(s => (s ? Math.abs(s.drop) : 0))),
+  };
 }
 
 /**
- * Generate one more token: append the top prediction and re-run.
+ * Knock out a layer, or one attention head of it (models.ablate), and
+ * compare the model's next-token distribution (T = 1) before and after.
+ * Returns { layer, head, probs, top: [{ tokenId, word, prob }], kl } where
+ * probs covers the whole vocabulary and kl is KL(before ‖ after) in nats.
+ */
+export async function ablate(layer, head = null, onProgress) {
+  if (!lastIds) return null;
+  const { logits } = await models.ablate(lastIds, layer, head, onProgress);
+  const before = softmaxAll(lastLogits);
+  const probs = softmaxAll(logits);
+
+  let kl = 0;
+  const top = [];
+  for (let i = 0; i < probs.length; i++) {
+    if (before[i] > 0) kl += before[i] * Math.log(before[i] / Math.max(probs[i], 1e-300));
+    if (top.length === 3 && probs[i] <= probs[top[2]]) continue;
+    top.push(i);
+    top.sort((a, b) => probs[b] - probs[a]);
+    if (top.length > 3) top.pop();
+  }
+  const words = await models.decodeTokens(top);
+  return {
+    layer,
+    head,
+    probs,
+    top: top.map((tokenId, i) => ({ tokenId, word: words[i], prob: probs[tokenId] })),
+    kl,
+  };
+}
+
+/**
+ * Pick the next token (the sampled one). Pass its tokenId to step() to continue.
  */
 export async function generateMore() {
   if (!lastLogits || !lastTokens) return null;
 
-  const predictions = computePredictions(
-    lastLogits,
-    config.get('temperature'),
-    config.get('topK'),
-    config.get('topP')
-  );
+  const { predictions } = await computePredictions(lastLogits, drawFor(stepIndex));
   // Use the sampled token (not just the highest prob)
   const sampled = predictions.find(p => p.isSampled) || predictions[0];
   const newText = currentText + sampled.word;
-  return { newText, topWord: sampled.word };
+  return { newText, topWord: sampled.word, tokenId: sampled.tokenId };
 }
 
+// ─── Generation tree ───
+
 /**
- * Compute top-k predictions from logits with temperature, top-p nucleus filtering, and sampling.
+ * What a branch node keeps to be restored later (see branches.js). Attentions
+ * and logit lens grow with every layer and token, so they are left out and
+ * gotoBranch() recomputes them.
  */
-function computePredictions(logits, temperature, topK, topP) {
-  // 1. Apply temperature
-  const scaled = new Float32Array(logits.length);
-  const t = Math.max(temperature, 0.01);
-  for (let i = 0; i < logits.length; i++) {
-    scaled[i] = logits[i] / t;
-  }
+function snapshot({ attentions, lens, ...result }, forced = false) {
+  return {
+    ids: lastIds,
+    tokens: lastTokens,
+    text: currentText,
+    step: stepIndex,
+    forced,
+    params: Object.fromEntries([...SAMPLING_KEYS, 'seed'].map(key => [key, config.get(key)])),
+    logits: lastLogits,
+    result,
+  };
+}
 
-  // 2. Find top-k indices
-  const indexed = [];
-  for (let i = 0; i < scaled.length; i++) {
-    indexed.push({ val: scaled[i], rawLogit: logits[i], idx: i });
-  }
-  indexed.sort((a, b) => b.val - a.val);
-  const topItems = indexed.slice(0, topK);
-
-  // 3. Softmax over top-k
-  const maxVal = topItems[0].val;
-  const exps = topItems.map(item => ({
-    ...item,
-    exp: Math.exp(item.val - maxVal),
-  }));
-  const sumExp = exps.reduce((sum, item) => sum + item.exp, 0);
-
-  const predictions = exps.map(item => ({
-    word: models.decodeToken(item.idx),
-    prob: item.exp / sumExp,
-    logit: item.rawLogit,
-    tokenId: item.idx,
-    inNucleus: false,
-    isSampled: false,
-    nucleusProb: 0,
-  }));
+/**
+ * Make a recorded branch the current sequence again, with the sampling
+ * settings it was generated with. The node's logits and predictions are
+ * reused; only attentions and logit lens come from a new forward pass. The
+ * next step() continues from its tokens.
+ * Returns the node's result, like run() / step().
+ */
+export async function gotoBranch(id) {
+  const node = branches.select(id);
+  if (!node) return null;
 
-  // 4. Top-p nucleus filtering
-  let cumProb = 0;
-  for (const pred of predictions) {
-    cumProb += pred.prob;
-    pred.inNucleus = true;
-    if (cumProb >= topP) break;
-  }
+  lastIds = node.ids;
+  lastTokens = node.tokens;
+  currentText = node.text;
+  lastLogits = node.logits;
+  stepIndex = node.step;
+  beamState = null;
+  for (const [key, value] of Object.entries(node.params)) config.set(key, value);
+
+  const { attentions, hiddenStates } = await models.forward(lastIds);
+  return { ...node.result, attentions, lens: await lensOf(hiddenStates), branch: node.id };
+}
 
-  // 5. Re-normalize nucleus probabilities
-  const nucleus = predictions.filter(p => p.inNucleus);
-  const nucleusSum = nucleus.reduce((s, p) => s + p.prob, 0);
-  nucleus.forEach(p => { p.nucleusProb = p.prob / nucleusSum; });
-
-  // 6. Sample one token from nucleus
-  const r = Math.random();
-  let cum = 0;
-  for (const p of nucleus) {
-    cum += p.nucleusProb;
-    if (r <= cum) {
-      p.isSampled = true;
-      break;
-    }
+// ─── Beam search ───
+
+export function resetBeams() {
+  beamState = null;
+}
+
+/**
+ * One beam-search step: expand every live beam, run the new beams through the
+ * model (only the best one with attentions and logit lens, for the viz) and
+ * continue the visible sequence along the best live beam.
+ * Returns infer()'s result plus `beams` (the tree), or { done, beams } when
+ * every hypothesis has finished.
+ */
+export async function beamStep() {
+  if (!lastLogits) return null;
+  const lengthPenalty = config.get('lengthPenalty');
+  if (!beamState) {
+    beamState = createBeams(lastIds, lastLogits);
+    beamState.promptTokens = lastTokens;
+    beamState.promptText = currentText;
   }
-  // Fallback: if none sampled (floating point), pick first
-  if (!nucleus.some(p => p.isSampled)) {
-    nucleus[0].isSampled = true;
+  advance(beamState, {
+    width: config.get('beamWidth'),
+    lengthPenalty,
+    eosId: lastModelConfig.eos_id,
+    logitBias: config.get('logitBias'),
+  });
+
+  const candidates = beamState.steps[beamState.steps.length - 1];
+  const words = await models.decodeTokens(candidates.map(c => c.tokenId));
+  candidates.forEach((c, i) => { c.word = words[i]; });
+
+  const [best, ...others] = beamState.beams;
+  if (!best) return { done: true, beams: beamTree(lengthPenalty) };
+
+  for (const beam of others) {
+    beam.logits = (await models.forward(beam.ids, { logitsOnly: true })).logits;
   }
 
-  return predictions;
+  const generated = best.ids.slice(beamState.promptLength);
+  const texts = await models.decodeTokens(generated);
+  lastIds = best.ids;
+  lastTokens = [...beamState.promptTokens, ...generated.map((id, i) => ({ id, text: texts[i], beam: true }))];
+  currentText = beamState.promptText + texts.join('');
+
+  const result = await infer();
+  best.logits = lastLogits;
+  return { ...result, beams: beamTree(lengthPenalty), branch: branches.record(snapshot(result)).id };
+}
+
+/** What the viz needs to draw the search tree. */
+function beamTree(lengthPenalty) {
+  return {
+    steps: beamState.steps.map(candidates => candidates.map(({ id, parent, word, tokenLogProb, logProb, score, status }) => ({
+      id, parent, word, tokenLogProb, logProb, score, status,
+    }))),
+    live: beamState.beams.map(b => b.id),
+    best: bestHypothesis(beamState, lengthPenalty)?.id ?? null,
+  };
+}
+
+// Config keys that only change sampling, not the forward pass
+export const SAMPLING_KEYS = [
+  'temperature', 'topK', 'topP',
+  'repetitionPenalty', 'presencePenalty', 'frequencyPenalty', 'noRepeatNgram',
+  'minP', 'typicalP', 'epsilon', 'eta', 'logitBias', 'decoding',
+];
+
+/**
+ * Run the sampling chain (sampling.js) over `context` and decode the
+ * candidates. `r` is the step's uniform draw in [0, 1); the settings, the
+ * context and the decoder default to the current config, the sequence so far
+ * and the main model (compare.js passes its own). Returns
+ * { predictions, sampling } where sampling.stages holds what each processor
+ * moved or dropped and sampling.stats summarizes the distribution (entropy,
+ * effective candidates, top-k / nucleus mass).
+ */
+export async function computePredictions(logits, r, { params = samplingParams(), context = lastIds, decode = models.decodeTokens } = {}) {
+  const { candidates, stages, stats } = sample(logits, params, r, context);
+  const words = await decode(candidates.map(c => c.tokenId));
+
+  // Beam search picks tokens itself: no sampled star on the bars
+  const beam = params.decoding === 'beam';
+  const predictions = candidates.map((c, i) => ({
+    ...c,
+    word: words[i],
+    nucleusProb: c.finalProb,
+    isSampled: c.isSampled && !beam,
+  }));
+  return { predictions, sampling: { stages, stats } };
+}
+
+/** The sampling settings currently in config, as sample() takes them. */
+export function samplingParams() {
+  return Object.fromEntries(SAMPLING_KEYS.map(key => [key, config.get(key)]));
+}
+
+/** The uniform draw the current step samples with. */
+export function getDraw() {
+  return drawFor(stepIndex);
 }
 
 export function getLastTokens() {
   return lastTokens;
 }
 
+export function getLastIds() {
+  return lastIds;
+}
+
+export function getLastLogits() {
+  return lastLogits;
+}
+
 export function getCurrentText() {
   return currentText;
 }
@@ -0,0 +1,341 @@
+/**
+ * Next-token sampling with the same semantics as Hugging Face `generate()`.
+ * The chain runs in a fixed order:
+ *
+ *   1. repetition penalty          (RepetitionPenaltyLogitsProcessor)
+ *   2. presence / frequency penalty (OpenAI style, over the whole context)
+ *   3. no-repeat n-gram            (NoRepeatNGramLogitsProcessor)
+ *   4. logit bias / bans           (SequenceBiasLogitsProcessor, OpenAI logit_bias)
+ *   5. temperature
+ *   6. top-k → 7. top-p → 8. min-p → 9. typical → 10. epsilon → 11. eta
+ *
+ * Steps 1-4 rewrite logits, 5 reshapes the softmax over the full vocabulary,
+ * and 6-11 each drop tokens from the distribution left by the previous stage
+ * and renormalize, always keeping at least one token.
+ */
+
+// Bars shown in the viz; tokens past top-k stay visible (dimmed)
+export const DISPLAY_COUNT = 20;
+
+// Token ids sorted by processed logit, cached per model logits array and
+// processor settings (steps 1-4 build a new array on every call): temperature
+// and the filters never change the order, so their slider drags don't
+// re-sort 50k-150k entries.
+const orderCache = new WeakMap(); // model logits → { key, order }
+
+/** What steps 1-4 depend on besides the logits, as a cache key. */
+function processorKey(params, context) {
+  const { repetitionPenalty = 1, presencePenalty = 0, frequencyPenalty = 0, noRepeatNgram = 0, logitBias = [] } = params;
+  return JSON.stringify([repetitionPenalty, presencePenalty, frequencyPenalty, noRepeatNgram,
+    logitBias.map(b => [b.tokenId, String(b.bias)]), context]);
+}
+
+function sortedOrder(logits, processed, key) {
+  const cached = orderCache.get(logits);
+  if (cached?.key === key) return cached.order;
+  const order = new Uint32Array(processed.length);
+  for (let i = 0; i < order.length; i++) order[i] = i;
+  order.sort((a, b) => processed[b] - processed[a]);
+  orderCache.set(logits, { key, order });
+  return order;
+}
+
+/** Full-vocabulary softmax of logits / t, in float64. */
+export function softmaxAll(logits, t = 1) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) if (logits[i] > max) max = logits[i];
+  const probs = new Float64Array(logits.length);
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) {
+    probs[i] = Math.exp((logits[i] - max) / t);
+    sum += probs[i];
+  }
+  for (let i = 0; i < probs.length; i++) probs[i] /= sum;
+  return probs;
+}
+
+/** Share of probability mass that moved between two distributions (total variation). */
+function massMoved(before, after) {
+  let sum = 0;
+  for (let i = 0; i < before.length; i++) sum += Math.abs(before[i] - after[i]);
+  return sum / 2;
+}
+
+/** Shannon entropy in bits of a (sub-)distribution, skipping zeros. */
+function entropyBits(probs) {
+  let h = 0;
+  for (let i = 0; i < probs.length; i++) if (probs[i] > 0) h -= probs[i] * Math.log2(probs[i]);
+  return h;
+}
+
+/** Tokens that would repeat an n-gram already present in `context`. */
+function bannedByNgram(context, n) {
+  const banned = new Set();
+  if (n < 1 || context.length < n) return banned;
+  const prefix = context.slice(context.length - n + 1).join(',');
+  for (let i = 0; i + n <= context.length; i++) {
+    if (context.slice(i, i + n - 1).join(',') === prefix) banned.add(context[i + n - 1]);
+  }
+  return banned;
+}
+
+/**
+ * Steps 1-4. Returns the rewritten logits (the input array when nothing is
+ * active), a stage record for each processor and `rescued`: when the bans
+ * leave no token at all, the id of the one kept anyway (the most probable
+ * before the bans), else null.
+ */
+function applyProcessors(logits, params, context) {
+  const { repetitionPenalty = 1, presencePenalty = 0, frequencyPenalty = 0, noRepeatNgram = 0, logitBias = [] } = params;
+  const stages = [];
+  const penalize = context.length > 0 && (repetitionPenalty !== 1 || presencePenalty !== 0 || frequencyPenalty !== 0
+    || (noRepeatNgram > 0 && context.length >= noRepeatNgram));
+  if (!penalize && logitBias.length === 0) {
+    stages.push(
+      { name: 'repetition', param: repetitionPenalty, moved: 0 },
+      { name: 'presence/frequency', param: `${presencePenalty}/${frequencyPenalty}`, moved: 0 },
+      { name: 'no-repeat-ngram', param: noRepeatNgram, dropped: 0 },
+      { name: 'logit bias', param: 0, moved: 0 },
+    );
+    return { logits, stages, rescued: null };
+  }
+
+  const counts = new Map();
+  for (const id of context) counts.set(id, (counts.get(id) || 0) + 1);
+
+  const out = Float32Array.from(logits);
+  let before = softmaxAll(out);
+
+  if (repetitionPenalty !== 1) {
+    for (const id of counts.keys()) {
+      out[id] = out[id] < 0 ? out[id] * repetitionPenalty : out[id] / repetitionPenalty;
+    }
+  }
+  let after = softmaxAll(out);
+  stages.push({ name: 'repetition', param: repetitionPenalty, moved: massMoved(before, after) });
+  before = after;
+
+  if (presencePenalty !== 0 || frequencyPenalty !== 0) {
+    for (const [id, count] of counts) out[id] -= presencePenalty + frequencyPenalty * count;
+  }
+  after = softmaxAll(out);
+  stages.push({ name: 'presence/frequency', param: `${presencePenalty}/${frequencyPenalty}`, moved: massMoved(before, after) });
+  before = after;
+
+  // Most probable token before the bans, kept if they leave nothing
+  let best = 0;
+  for (let i = 1; i < out.length; i++) if (out[i] > out[best]) best = i;
+  const bestLogit = out[best];
+
+  let dropped = 0;
+  for (const id of bannedByNgram(context, noRepeatNgram)) {
+    dropped += before[id];
+    out[id] = -Infinity;
+  }
+  stages.push({ name: 'no-repeat-ngram', param: noRepeatNgram, dropped });
+  if (dropped > 0) before = softmaxAll(out);
+
+  // A ban is a bias of -Infinity; ids past the logits (padded vocabularies) are ignored
+  for (const { tokenId, bias } of logitBias) {
+    if (tokenId < out.length) out[tokenId] += bias;
+  }
+  let rescued = null;
+  if (!out.some(Number.isFinite)) {
+    out[best] = bestLogit;
+    rescued = best;
+  }
+  after = logitBias.length ? softmaxAll(out) : before;
+  stages.push({ name: 'logit bias', param: logitBias.length, moved: massMoved(before, after) });
+
+  return { logits: out, stages, rescued };
+}
+
+/**
+ * Run the whole chain on one position's logits. `r` is the uniform draw in
+ * [0, 1) that picks the token; `context` the ids seen so far (for penalties).
+ * Returns:
+ *   candidates  the DISPLAY_COUNT most probable tokens after the processors
+ *               (plus the sampled one if it ranks lower), each with
+ *               { tokenId, rank, logit, bias, prob (model, T=1), tempProb,
+ *                 topKProb, finalProb, stageProbs, inNucleus, isSampled }
+ *   stages      [{ name, param, kept?, dropped?, moved? }] in chain order;
+ *               `dropped` / `moved` are shares of the mass that entered the stage
+ *   sampledId   the chosen token id
+ *   stats       { entropy, perplexity, effective, finalEntropy, topKMass,
+ *                 nucleusMass, logitMargin, rescued }: entropy (bits), 2^entropy and
+ *               1 / Σp² of the distribution after temperature, entropy of the
+ *               one sampled from, the share of the temperature distribution
+ *               that survives top-k and top-p, and the raw logit gap between
+ *               the model's two best tokens; `rescued` is the token kept when
+ *               the processors banned every token (see applyProcessors), else null
+ */
+export function sample(logits, params, r, context = []) {
+  const { temperature, topK, topP, minP = 0, typicalP = 1, epsilon = 0, eta = 0 } = params;
+  const t = Math.max(temperature, 0.01);
+  const modelProbs = softmaxAll(logits);
+
+  const processed = applyProcessors(logits, params, context);
+  const stages = [...processed.stages];
+  const order = sortedOrder(logits, processed.logits, processorKey(params, context));
+  const V = order.length;
+
+  // Distribution over sorted positions; filters only ever zero entries out
+  const tempAll = softmaxAll(processed.logits, t);
+  const probs = new Float64Array(V);
+  for (let i = 0; i < V; i++) probs[i] = tempAll[order[i]];
+  stages.push({ name: 'temperature', param: t, kept: V, dropped: 0 });
+  const biases = new Map(params.logitBias?.map(b => [b.tokenId, b.bias]));
+
+  const tempSorted = probs.slice();
+  // Mass of the temperature distribution still alive after the filters so far
+  const aliveMass = () => {
+    let mass = 0;
+    for (let i = 0; i < V; i++) if (probs[i] > 0) mass += tempSorted[i];
+    return mass;
+  };
+
+  const shown = Math.min(DISPLAY_COUNT, V);
+  const history = []; // per filter: probabilities of the shown positions after it
+
+  // Drop the positions `removeAt` selects and renormalize. Unless told
+  // otherwise the most probable survivor stays (min_tokens_to_keep = 1).
+  function filter(name, param, removeAt, protectTop = true) {
+    let dropped = 0;
+    let kept = 0;
+    const top = protectTop ? probs.findIndex(p => p > 0) : -1;
+    for (let i = 0; i < V; i++) {
+      if (probs[i] === 0) continue;
+      if (i !== top && removeAt(i)) {
+        dropped += probs[i];
+        probs[i] = 0;
+      } else {
+        kept++;
+      }
+    }
+    const mass = 1 - dropped;
+    if (dropped > 0) for (let i = 0; i < V; i++) probs[i] /= mass;
+    stages.push({ name, param, kept, dropped });
+    history.push({ name, probs: probs.slice(0, shown) });
+  }
+
+  // 6. Top-k keeps every token tied with the k-th logit, like TopKLogitsWarper (0 = off)
+  if (topK > 0 && topK < V) {
+    const threshold = processed.logits[order[topK - 1]];
+    filter('top-k', topK, i => processed.logits[order[i]] < threshold);
+  } else {
+    filter('top-k', topK, () => false);
+  }
+  const topKMass = aliveMass();
+
+  // 7. Top-p as in TopPLogitsWarper: from the least probable token upwards,
+  // drop while the mass dropped so far stays <= 1 - top_p
+  {
+    const cut = new Uint8Array(V);
+    let cumulative = 0;
+    for (let i = V - 1; i > 0; i--) {
+      if (probs[i] === 0) continue;
+      cumulative += probs[i];
+      if (cumulative > 1 - topP) break;
+      cut[i] = 1;
+    }
+    filter('top-p', topP, i => cut[i] === 1);
+  }
+  const nucleusMass = aliveMass();
+
+  // 8. Min-p: drop tokens below min_p × the top token's probability
+  const minThreshold = minP * probs[0];
+  filter('min-p', minP, i => probs[i] < minThreshold);
+
+  // 9. Locally typical sampling: keep the tokens whose surprisal is closest to
+  // the entropy until they cover typical_p of the mass
+  if (typicalP < 1) {
+    let entropy = 0;
+    const alive = [];
+    for (let i = 0; i < V; i++) {
+      if (probs[i] > 0) {
+        entropy -= probs[i] * Math.log(probs[i]);
+        alive.push(i);
+      }
+    }
+    const distance = new Float64Array(V);
+    for (const i of alive) distance[i] = Math.abs(-Math.log(probs[i]) - entropy);
+    alive.sort((a, b) => distance[a] - distance[b]);
+    const keep = new Uint8Array(V);
+    let cumulative = 0;
+    for (const i of alive) {
+      keep[i] = 1;
+      cumulative += probs[i];
+      if (cumulative >= typicalP) break;
+    }
+    // The typical set may exclude the most probable token; it keeps at least one of its own
+    filter('typical', typicalP, i => !keep[i], false);
+  } else {
+    filter('typical', typicalP, () => false);
+  }
+
+  // 10. Epsilon: drop tokens below a fixed probability
+  filter('epsilon', epsilon, i => probs[i] < epsilon);
+
+  // 11. Eta: like epsilon, with the cutoff lowered when the distribution is flat
+  let etaCutoff = 0;
+  if (eta > 0) {
+    let entropy = 0;
+    for (let i = 0; i < V; i++) if (probs[i] > 0) entropy -= probs[i] * Math.log(probs[i]);
+    etaCutoff = Math.min(eta, Math.sqrt(eta) * Math.exp(-entropy));
+  }
+  filter('eta', eta, i => probs[i] < etaCutoff);
+
+  // Draw the token from what survived, most probable first
+  let sampledPos = 0;
+  let cum = 0;
+  for (let i = 0; i < V; i++) {
+    if (probs[i] === 0) continue;
+    sampledPos = i;
+    cum += probs[i];
+    if (r < cum) break;
+  }
+
+  const positions = Array.from({ length: shown }, (_, i) => i);
+  if (sampledPos >= shown) positions[shown - 1] = sampledPos;
+
+  const topKHistory = history[0].probs;
+  const candidates = positions.map(pos => {
+    const tokenId = order[pos];
+    const inShown = pos < shown;
+    return {
+      tokenId,
+      rank: pos + 1,
+      logit: logits[tokenId],
+      bias: biases.get(tokenId) ?? 0,
+      prob: modelProbs[tokenId],
+      tempProb: tempAll[tokenId],
+      topKProb: inShown ? topKHistory[pos] : 0,
+      finalProb: probs[pos],
+      stageProbs: history.map(h => ({ name: h.name, prob: inShown ? h.probs[pos] : null })),
+      inNucleus: probs[pos] > 0,
+      isSampled: pos === sampledPos,
+    };
+  });
+
+  const entropy = entropyBits(tempSorted);
+  let squares = 0;
+  for (let i = 0; i < V; i++) squares += tempSorted[i] * tempSorted[i];
+  let first = -Infinity;
+  let second = -Infinity;
+  for (let i = 0; i < logits.length; i++) {
+    if (logits[i] > first) [first, second] = [logits[i], first];
+    else if (logits[i] > second) second = logits[i];
+  }
+  const stats = {
+    entropy,
+    perplexity: 2 ** entropy,
+    effective: 1 / squares,
+    finalEntropy: entropyBits(probs),
+    topKMass,
+    nucleusMass,
+    logitMargin: first - second,
+    rescued: processed.rescued,
+  };
+
+  return { candidates, stages, sampledId: order[sampledPos], stats };
+}
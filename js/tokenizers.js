@@ -0,0 +1,55 @@
+/**
+ * Tokenizer comparison: the same text through the tokenizers of several
+ * registered models. Only the tokenizers are loaded, in a worker of their own
+ * (models.createSession), never the weights. Every token is placed on the
+ * characters of the text it spells, so token boundaries of different
+ * tokenizers line up.
+ */
+
+import * as models from './models.js';
+import { describeTokens } from './bytes.js';
+
+let session = null; // worker that only ever loads tokenizers
+
+/**
+ * Tokenize `text` with the tokenizer of each of `modelIds`, in order.
+ * Returns [{ modelId, name, ids, tokens, error }] where every token carries
+ * its bytes (bytes.describeTokens) and `start` / `end`, the characters of
+ * `text` it spells (start === end for special tokens and tokens that only
+ * continue a character). A tokenizer that fails to load gives `error` and no
+ * tokens.
+ */
+export async function run(text, modelIds) {
+  session ??= models.createSession();
+  const rows = [];
+  for (const modelId of modelIds) {
+    const name = models.getConfig(modelId)?.name ?? modelId;
+    try {
+      const { ids, tokens } = await session.tokenizeWith(modelId, text);
+      rows.push({ modelId, name, ids, tokens: place(describeTokens(tokens), text), error: null });
+    } catch (err) {
+      console.warn(`[tokenizers] ${modelId}:`, err.message);
+      rows.push({ modelId, name, ids: [], tokens: [], error: err.message });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Walk the characters each token spells along `text`. Characters the
+ * tokenizer added (the leading space SentencePiece puts before the first
+ * word) don't advance; anything else counts as the next character even if
+ * normalization changed it.
+ */
+function place(tokens, text) {
+  const chars = Array.from(text);
+  let at = 0;
+  return tokens.map(t => {
+    const start = at;
+    for (const { char, from } of t.chars) {
+      if (from !== 1) continue; // spelled by the token where it starts
+      if (char === chars[at] || !/\s/.test(char)) at++;
+    }
+    return { ...t, start, end: Math.min(at, chars.length) };
+  });
+}
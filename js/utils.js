@@ -11,6 +11,39 @@ export function softmax(logits, temperature = 1.0) {
   return exps.map(e => e / sum);
 }
 
+/**
+ * LayerNorm over a single vector: (x - mean) / sqrt(var + eps) * weight + bias.
+ */
+export function layerNorm(x, weight, bias, eps = 1e-5) {
+  const n = x.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += x[i];
+  mean /= n;
+  let variance = 0;
+  for (let i = 0; i < n; i++) variance += (x[i] - mean) ** 2;
+  variance /= n;
+  const inv = 1 / Math.sqrt(variance + eps);
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    out[i] = (x[i] - mean) * inv * weight[i] + (bias ? bias[i] : 0);
+  }
+  return out;
+}
+
+/**
+ * RMSNorm over a single vector: x / sqrt(mean(x²) + eps) * weight (Llama, Qwen).
+ */
+export function rmsNorm(x, weight, eps = 1e-6) {
+  const n = x.length;
+  let meanSq = 0;
+  for (let i = 0; i < n; i++) meanSq += x[i] * x[i];
+  meanSq /= n;
+  const inv = 1 / Math.sqrt(meanSq + eps);
+  const out = new Float32Array(n);
+  for (let i = 0; i < n; i++) out[i] = x[i] * inv * weight[i];
+  return out;
+}
+
 export function seededRandom(seed) {
   let t = (seed >>> 0) + 0x6D2B79F5;
   return function () {
@@ -38,10 +71,48 @@ export function getTokenColor(index) {
   return TOKEN_COLORS[index % TOKEN_COLORS.length];
 }
 
+/** Surprisal in bits of a token given its natural-log probability. */
+export function surprisalBits(logProb) {
+  return -logProb / Math.LN2;
+}
+
+/**
+ * Heat color for a surprisal: green when the model expected the token,
+ * amber around 5 bits (1 in 32), red from 12 bits on.
+ */
+export function surprisalColor(bits) {
+  const t = clamp(bits / 12, 0, 1);
+  const hue = 150 * (1 - t) ** 1.3;
+  return `hsl(${hue.toFixed(0)}, 75%, 55%)`;
+}
+
+/**
+ * Diverging color for an attribution score in [-1, 1]: orange when the token
+ * supported the prediction, blue when it worked against it, pale near 0.
+ */
+export function attributionColor(score) {
+  const t = clamp(Math.abs(score), 0, 1);
+  const hue = score >= 0 ? 28 : 210;
+  return `hsl(${hue}, ${(20 + 65 * t).toFixed(0)}%, ${(82 - 24 * t).toFixed(0)}%)`;
+}
+
 export function fmt(num, decimals = 2) {
   return num.toFixed(decimals);
 }
 
+/** Byte count as "126 MB" / "1.2 GB". */
+export function formatBytes(bytes) {
+  if (bytes >= 1e9) return `${(bytes / 1e9).toFixed(1)} GB`;
+  if (bytes >= 1e6) return `${Math.round(bytes / 1e6)} MB`;
+  if (bytes >= 1e3) return `${Math.round(bytes / 1e3)} KB`;
+  return `${bytes} B`;
+}
+
+/** Text made safe to put in innerHTML: `<b>` in a token stays literal. */
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 export function lerp(a, b, t) {
   return a + (b - a) * t;
 }
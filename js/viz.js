@@ -3,7 +3,8 @@
  * Renders the full pipeline: Tokens → Embeddings → L1..LN → Logits → Output
  */
 
-import { getTokenColor, lerp, clamp, seededRandom, fmt } from './utils.js';
+import { getTokenColor, lerp, clamp, seededRandom, fmt, surprisalBits, surprisalColor, attributionColor, escapeHtml } from './utils.js';
+import { hex, splitCharLines } from './bytes.js';
 import * as config from './config.js';
 
 // Layout constants
@@ -13,6 +14,7 @@ const ROW_GAP = 36;
 const LABEL_Y_OFFSET = 20;
 const TOP_PADDING = 50;
 const LEFT_PADDING = 100;
+const LENS_CELL_HEIGHT = 30;
 
 // Colors
 const COLORS = {
@@ -24,6 +26,8 @@ const COLORS = {
   connection: 'rgba(167, 139, 250, 0.06)',
   connectionActive: 'rgba(167, 139, 250, 0.15)',
   bg: '#0d1117',
+  ablated: '#f87171',
+  ablatedProb: '#22d3ee',
   text: '#8b949e',
   textBright: '#e6edf3',
 };
@@ -35,6 +39,11 @@ let canvas = null;
 let ctx = null;
 let columns = []; // [{label, color, nodes: [{x,y,label,id,...}]}]
 let outputBars = []; // [{word, prob, logit, x, y}]
+let samplingStages = null; // [{ name, param, kept, dropped }] from sampling.js
+let beamTree = null; // { steps, live, best } from pipeline.beamStep()
+let beamNodes = []; // laid-out tree nodes: { id, parent, x, y, word, logProb, score, status }
+let attribution = null; // pipeline.attribute() result
+let ablation = null; // pipeline.ablate() result: the knocked-out layer / head and the new distribution
 let animProgress = 0;
 let animTarget = 1;
 let animFrame = null;
@@ -44,6 +53,13 @@ let isAnimating = false;
 // Model config stored for tooltips
 let currentModelCfg = null;
 
+// Real attention tensors from the last forward pass (one per layer), or null
+let attentionData = null;
+
+// Logit-lens strip when the export has no hidden states: where the
+// "not available" box was drawn, for hover
+let lensMissingRect = null;
+
 // Zoom/pan state
 let zoom = 1;
 let panX = 0;
@@ -60,6 +76,8 @@ let tooltip = null;
 
 // Embedding modal callback
 let onEmbeddingClick = null;
+let onOutputClickCb = null;
+let onLayerClickCb = null;
 
 // Hover zone callback
 let onHoverZoneChange = null;
@@ -114,13 +132,20 @@ function startGlowLoop() {
 
 /**
  * Build the visualization data from pipeline results.
+ * Optional extras: `attentions` (per-layer tensors from models.forward),
+ * `lens` (per-layer top-k from models.logitLens), `sampling` (stage summary)
+ * and `beams` (the search tree from pipeline.beamStep).
  */
-export function build(tokens, modelConfig, predictions) {
+export function build(tokens, modelConfig, predictions, { attentions = null, lens = null, sampling = null, beams = null } = {}) {
   columns = [];
   outputBars = [];
+  lensMissingRect = null;
   animProgress = 0;
   animTarget = 1;
   currentModelCfg = modelConfig;
+  attentionData = attentions;
+  attribution = null;
+  ablation = null;
 
   const numTokens = tokens.length;
   const numLayers = modelConfig.layers;
@@ -134,10 +159,12 @@ export function build(tokens, modelConfig, predictions) {
   // 1. Tokens column
   const tokenNodes = tokens.map((t, i) => ({
     x, y: startY + i * ROW_GAP,
-    label: t.text.trim() || '⎵',
+    label: t.label,
     id: t.id,
     type: 'token',
     index: i,
+    logProb: t.logProb ?? null,
+    token: t,
   }));
   columns.push({ label: 'TOKENS', color: COLORS.token, nodes: tokenNodes, type: 'token' });
   x += COLUMN_GAP;
@@ -149,7 +176,7 @@ export function build(tokens, modelConfig, predictions) {
     id: t.id,
     type: 'embedding',
     index: i,
-    tokenText: t.text.trim(),
+    tokenText: t.label,
   }));
   columns.push({ label: 'EMBEDDINGS', color: COLORS.embedding, nodes: embedNodes, type: 'embedding' });
   x += COLUMN_GAP;
@@ -171,9 +198,14 @@ export function build(tokens, modelConfig, predictions) {
       color: COLORS.transformer,
       nodes: layerNodes,
       type: 'transformer',
+      layer: l,
+      attention: null,
+      lens: lens ? lens.find(e => e.layer === l) : null,
+      lensRect: null,
     });
     x += COLUMN_GAP;
   }
+  applyAttentionHead();
 
   // 4. Logits column
   const numPreds = predictions.length;
@@ -189,6 +221,7 @@ export function build(tokens, modelConfig, predictions) {
     word: p.word,
     prob: p.prob,
     logit: p.logit,
+    bias: p.bias,
   }));
   columns.push({ label: 'LOGITS', color: COLORS.logit, nodes: logitNodes, type: 'logit' });
   x += COLUMN_GAP + 10;
@@ -198,20 +231,18 @@ export function build(tokens, modelConfig, predictions) {
     outputBars.push({
       x,
       y: logitStartY + i * actualLogitGap,
-      word: p.word,
-      prob: p.prob,
-      logit: p.logit,
-      inNucleus: p.inNucleus,
-      isSampled: p.isSampled,
-      nucleusProb: p.nucleusProb || 0,
+      ...barFields(p),
       isWinner: i === 0,
     });
   });
+  samplingStages = sampling?.stages ?? null;
+  beamTree = beams;
+  layoutBeamTree();
 
   // Auto-fit zoom (increased width for percentages)
-  const totalWidth = x + 280;
+  const totalWidth = x + 330 + (beamTree ? beamTreeWidth() : 0);
   const totalNodeHeight = Math.max(
-    (numTokens - 1) * ROW_GAP + TOP_PADDING + 80,
+    (numTokens - 1) * ROW_GAP + TOP_PADDING + 80 + LENS_CELL_HEIGHT + 20,
     (numPreds - 1) * actualLogitGap + TOP_PADDING + 80
   );
   const canvasW = canvas.clientWidth;
@@ -226,6 +257,45 @@ export function build(tokens, modelConfig, predictions) {
   startAnimation();
 }
 
+/**
+ * Collapse each layer's attention tensor to a single query × key matrix for
+ * the selected head (or the mean over heads) and attach it to its column.
+ */
+function applyAttentionHead() {
+  const head = config.get('attentionHead');
+  for (const col of columns) {
+    if (col.type !== 'transformer') continue;
+    const attn = attentionData?.[col.layer];
+    col.attention = attn ? selectHead(attn, head) : null;
+  }
+}
+
+function selectHead({ dims, data }, head) {
+  const [, numHeads, q, k] = dims;
+  const size = q * k;
+  const weights = new Float32Array(size);
+  const heads = head === 'avg'
+    ? Array.from({ length: numHeads }, (_, h) => h)
+    : [Math.min(head, numHeads - 1)];
+
+  for (const h of heads) {
+    const base = h * size;
+    for (let i = 0; i < size; i++) weights[i] += data[base + i];
+  }
+  if (heads.length > 1) {
+    for (let i = 0; i < size; i++) weights[i] /= heads.length;
+  }
+  return { q, k, weights };
+}
+
+/**
+ * Redraw transformer edges after the head selector changes.
+ */
+export function updateAttentionHead() {
+  applyAttentionHead();
+  draw();
+}
+
 function startAnimation() {
   animProgress = 0;
   animTarget = 1;
@@ -290,14 +360,28 @@ function draw() {
     const glowPhase = (glowTime * 0.8 - c * 0.12) % 1.0;
     const glowIntensity = Math.max(0, Math.sin(glowPhase * Math.PI * 2)) * 0.25;
 
+    // Real attention into this layer: query toNode reads from key fromNode
+    const attn = to.type === 'transformer' ? to.attention : null;
+
     for (const fromNode of from.nodes) {
       for (const toNode of to.nodes) {
         if (from.type === 'token' && fromNode.index !== toNode.index) continue;
 
+        let weight = null;
+        if (attn) {
+          // Causal mask: a token never attends to later positions
+          if (fromNode.index > toNode.index) continue;
+          weight = attn.weights[toNode.index * attn.k + fromNode.index];
+          if (weight < 0.01 && fromNode.index !== toNode.index) continue;
+        }
+
         let opacity = baseOpacity;
         if (from.type === 'transformer' && fromNode.index === toNode.index) {
           opacity = 0.15;
         }
+        if (weight !== null) {
+          opacity = Math.max(fromNode.index === toNode.index ? 0.15 : 0, 0.03 + weight * 0.6);
+        }
         if (to.type === 'logit') {
           opacity = 0.06 + toNode.prob * 0.3;
         }
@@ -313,9 +397,10 @@ function draw() {
         }
 
         const alpha = (opacity + extraGlow) * colProgress;
-        const lineWidth = (from.type === 'token' || to.type === 'logit')
+        let lineWidth = (from.type === 'token' || to.type === 'logit')
           ? 1.5 + extraGlow * 3
           : 0.5 + extraGlow * 2;
+        if (weight !== null) lineWidth += weight * 2.5;
 
         ctx.beginPath();
         ctx.moveTo(fromNode.x, fromNode.y);
@@ -370,7 +455,8 @@ function draw() {
       ctx.fillStyle = col.color;
 
       if (col.type === 'token') {
-        ctx.fillStyle = getTokenColor(node.index);
+        const score = attribution?.scores[node.index];
+        ctx.fillStyle = score ? attributionColor(score.drop / attribution.max) : getTokenColor(node.index);
         ctx.globalAlpha = 0.9 * colProgress;
       }
 
@@ -379,8 +465,23 @@ function draw() {
         ctx.globalAlpha = 0.9 * colProgress;
       }
 
+      const knockedOut = col.type === 'transformer' && ablation?.layer === col.layer;
+      if (knockedOut && ablation.head === null) ctx.fillStyle = COLORS.ablated;
+
       ctx.fill();
 
+      // A knocked-out head leaves the layer running: dashed ring instead of fill
+      if (knockedOut && ablation.head !== null) {
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, r + 3, 0, Math.PI * 2);
+        ctx.setLineDash([2, 2]);
+        ctx.strokeStyle = COLORS.ablated;
+        ctx.lineWidth = 1.5;
+        ctx.globalAlpha = colProgress;
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
       // Hovered node highlight
       if (hoveredNode && hoveredNode.x === node.x && hoveredNode.y === node.y) {
         ctx.globalAlpha = 0.5;
@@ -401,6 +502,18 @@ function draw() {
         ctx.textBaseline = 'middle';
         ctx.globalAlpha = colProgress;
         ctx.fillText(node.label, node.x - NODE_RADIUS - 8, node.y);
+
+        // A character split across tokens: bracket down to the next part
+        if (node.token.split && node.token.split.part !== 'end') {
+          const bx = node.x - NODE_RADIUS - 4;
+          ctx.beginPath();
+          ctx.moveTo(bx, node.y - 4);
+          ctx.lineTo(bx, node.y + ROW_GAP + 4);
+          ctx.strokeStyle = COLORS.text;
+          ctx.lineWidth = 1;
+          ctx.globalAlpha = 0.6 * colProgress;
+          ctx.stroke();
+        }
       }
 
       // Logit value labels (left of logit node)
@@ -411,6 +524,18 @@ function draw() {
         ctx.textBaseline = 'middle';
         ctx.globalAlpha = colProgress * 0.7;
         ctx.fillText(node.label, node.x - NODE_RADIUS - 6, node.y);
+
+        // Logit bias from the sidebar: dashed ring, amber up / red down
+        if (node.bias) {
+          ctx.beginPath();
+          ctx.arc(node.x, node.y, r + 3, 0, Math.PI * 2);
+          ctx.setLineDash([2, 2]);
+          ctx.strokeStyle = biasColor(node.bias);
+          ctx.lineWidth = 1.5;
+          ctx.globalAlpha = colProgress;
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
       }
     }
 
@@ -423,6 +548,17 @@ function draw() {
       ctx.textBaseline = 'top';
       ctx.globalAlpha = 0.6 * colProgress;
       ctx.fillText(col.label, col.nodes[0].x, bottomY);
+      if (col.type === 'transformer' && ablation?.layer === col.layer) {
+        ctx.fillStyle = COLORS.ablated;
+        ctx.globalAlpha = colProgress;
+        ctx.fillText(ablationLabel(), col.nodes[0].x, bottomY - 12);
+      }
+
+      if (col.lens) {
+        drawLensCell(col, bottomY + 16, colProgress, c === columns.findIndex(k => k.lens));
+      } else if (c === columns.findIndex(k => k.type === 'transformer') && !columns.some(k => k.lens)) {
+        drawLensMissing(bottomY + 16, colProgress);
+      }
     }
   }
 
@@ -433,7 +569,7 @@ function draw() {
   if (barsProgress > 0) {
     const maxBarWidth = 120;
     const barHeight = 16;
-    const maxProb = outputBars.length > 0 ? Math.max(...outputBars.map(b => b.prob)) : 1;
+    const maxProb = outputBars.length > 0 ? Math.max(...outputBars.map(b => Math.max(b.prob, b.nucleusProb))) : 1;
 
     // Find the nucleus boundary for visual separator
     let lastNucleusIdx = -1;
@@ -445,7 +581,10 @@ function draw() {
       const bar = outputBars[bi];
       const inNucleus = bar.inNucleus;
       const isSampled = bar.isSampled;
-      const barWidth = (bar.prob / maxProb) * maxBarWidth * barsProgress;
+      // Faint bar: the model's own probability; solid bar: what sampling actually uses
+      const modelWidth = (bar.prob / maxProb) * maxBarWidth * barsProgress;
+      const barWidth = (bar.nucleusProb / maxProb) * maxBarWidth * barsProgress;
+      const textX = bar.x + 16 + Math.max(modelWidth, barWidth) + 4;
 
       // Sampled token: bright glow ring
       if (isSampled) {
@@ -489,25 +628,55 @@ function draw() {
       else if (inNucleus) barColor = COLORS.logit;
       else barColor = '#484f58';
 
+      ctx.globalAlpha = 0.15 * barsProgress;
+      ctx.fillStyle = '#8b949e';
+      ctx.fillRect(bar.x + 14, bar.y - barHeight / 2, modelWidth, barHeight);
+
       ctx.globalAlpha = (inNucleus ? 0.6 : 0.2) * barsProgress;
       ctx.fillStyle = barColor;
-      ctx.fillRect(bar.x + 14, bar.y - barHeight / 2, barWidth, barHeight);
+      ctx.fillRect(bar.x + 14, bar.y - barHeight / 2 + 3, barWidth, barHeight - 6);
+
+      // After a knockout: the model's new probability as a thin strip under the bar
+      if (ablation) {
+        const after = ablation.probs[bar.tokenId];
+        ctx.globalAlpha = 0.9 * barsProgress;
+        ctx.fillStyle = COLORS.ablatedProb;
+        ctx.fillRect(bar.x + 14, bar.y + barHeight / 2 - 2, Math.min(after / maxProb, 1) * maxBarWidth * barsProgress, 2);
+      }
 
-      // Percentage text
-      const pctText = `${(bar.prob * 100).toFixed(1)}%`;
+      // Percentage text: model probability → probability after all filters
+      const pctText = inNucleus
+        ? `${(bar.prob * 100).toFixed(1)}% → ${(bar.nucleusProb * 100).toFixed(1)}%`
+        : `${(bar.prob * 100).toFixed(1)}%`;
       ctx.globalAlpha = (inNucleus ? 1 : 0.35) * barsProgress;
       ctx.font = isSampled ? 'bold 9px monospace' : '9px monospace';
       ctx.fillStyle = isSampled ? '#fbbf24' : (inNucleus ? COLORS.textBright : COLORS.text);
       ctx.textAlign = 'left';
       ctx.textBaseline = 'middle';
-      ctx.fillText(pctText, bar.x + 16 + barWidth + 4, bar.y);
+      ctx.fillText(pctText, textX, bar.y);
 
       // Word label
       const pctWidth = ctx.measureText(pctText).width;
       ctx.font = isSampled ? 'bold 11px monospace' : '11px monospace';
       ctx.fillStyle = isSampled ? '#fbbf24' : (inNucleus ? COLORS.textBright : COLORS.text);
       ctx.globalAlpha = (inNucleus ? 1 : 0.35) * barsProgress;
-      ctx.fillText(bar.word, bar.x + 16 + barWidth + pctWidth + 10, bar.y);
+      ctx.fillText(bar.word, textX + pctWidth + 6, bar.y);
+
+      let tagX = textX + pctWidth + ctx.measureText(bar.word).width + 10;
+      if (bar.bias) {
+        ctx.font = 'bold 8px monospace';
+        ctx.fillStyle = biasColor(bar.bias);
+        ctx.globalAlpha = barsProgress;
+        ctx.fillText(formatBias(bar.bias), tagX, bar.y);
+        tagX += ctx.measureText(formatBias(bar.bias)).width + 6;
+      }
+
+      if (ablation) {
+        ctx.font = '8px monospace';
+        ctx.fillStyle = COLORS.ablatedProb;
+        ctx.globalAlpha = barsProgress;
+        ctx.fillText(`${ablationLabel()}: ${(ablation.probs[bar.tokenId] * 100).toFixed(1)}%`, tagX, bar.y);
+      }
 
       // Draw nucleus separator line after last nucleus item
       if (bi === lastNucleusIdx && lastNucleusIdx < outputBars.length - 1) {
@@ -527,7 +696,7 @@ function draw() {
         ctx.fillStyle = '#fbbf24';
         ctx.globalAlpha = 0.5 * barsProgress;
         ctx.textAlign = 'left';
-        ctx.fillText('nucleus (top-p)', bar.x + maxBarWidth + 105, sepY);
+        ctx.fillText('corte de filtros', bar.x + maxBarWidth + 105, sepY);
       }
     }
 
@@ -540,9 +709,35 @@ function draw() {
       ctx.textBaseline = 'top';
       ctx.globalAlpha = 0.6 * barsProgress;
       ctx.fillText('SAMPLING', outputBars[0].x + 60, bottomY);
+
+      // Probability mass each filter removed from the distribution it received
+      if (samplingStages) {
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'left';
+        ctx.globalAlpha = 0.7 * barsProgress;
+        visibleStages().forEach((stage, i) => {
+          const effect = stage.moved != null
+            ? `mueve ${(stage.moved * 100).toFixed(1)}% de la masa`
+            : `quedan ${stage.kept ?? '-'} · descarta ${(stage.dropped * 100).toFixed(1)}% de la masa`;
+          ctx.fillStyle = (stage.dropped ?? stage.moved) > 0.0005 ? '#f87171' : COLORS.text;
+          ctx.fillText(`${stage.name} (${stage.param}): ${effect}`, outputBars[0].x - 5, bottomY + 14 + i * 12);
+        });
+      }
+
+      if (ablation) {
+        const rows = samplingStages ? visibleStages().length : 0;
+        const top = ablation.top.map(t => `"${t.word}" ${(t.prob * 100).toFixed(1)}%`).join(', ');
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = COLORS.ablatedProb;
+        ctx.globalAlpha = barsProgress;
+        ctx.fillText(`${ablationLabel()}: ${top} · KL ${fmt(ablation.kl, 3)} nats`, outputBars[0].x - 5, bottomY + 14 + rows * 12);
+      }
     }
   }
 
+  if (beamNodes.length > 0 && barsProgress > 0) drawBeamTree(barsProgress);
+
   // Draw travel particle (autoregressive animation)
   if (travelParticle) {
     const p = travelParticle;
@@ -584,10 +779,255 @@ function draw() {
   ctx.restore();
 }
 
+/**
+ * Logit-lens strip cell under a transformer column: that layer's top-1 guess
+ * for the next token. Green border when it already matches the final answer.
+ */
+function drawLensCell(col, y, alpha, isFirst) {
+  const best = col.lens.top[0];
+  const w = COLUMN_GAP - 8;
+  const h = LENS_CELL_HEIGHT;
+  const x = col.nodes[0].x - w / 2;
+  const matchesFinal = outputBars.length > 0 && best.tokenId === outputBars[0].tokenId;
+  col.lensRect = { x, y, w, h };
+
+  ctx.globalAlpha = (0.08 + best.prob * 0.5) * alpha;
+  ctx.fillStyle = COLORS.transformer;
+  ctx.fillRect(x, y, w, h);
+
+  ctx.globalAlpha = (matchesFinal ? 0.8 : 0.25) * alpha;
+  ctx.strokeStyle = matchesFinal ? COLORS.output : COLORS.transformer;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x, y, w, h);
+
+  const word = best.word.trim() || '⎵';
+  ctx.globalAlpha = alpha;
+  ctx.font = 'bold 9px monospace';
+  ctx.fillStyle = matchesFinal ? COLORS.output : COLORS.textBright;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(word.length > 8 ? word.slice(0, 7) + '…' : word, x + w / 2, y + 10);
+
+  ctx.font = '8px monospace';
+  ctx.fillStyle = COLORS.text;
+  ctx.fillText(`${(best.prob * 100).toFixed(0)}%`, x + w / 2, y + 22);
+
+  if (isFirst) {
+    ctx.font = 'bold 8px system-ui';
+    ctx.textAlign = 'right';
+    ctx.globalAlpha = 0.6 * alpha;
+    ctx.fillText('LOGIT LENS', x - 8, y + h / 2);
+  }
+}
+
+/**
+ * One dashed box across the transformer columns, in place of the lens strip,
+ * when the forward pass brought no hidden states to read it from.
+ */
+function drawLensMissing(y, alpha) {
+  const layers = columns.filter(c => c.type === 'transformer');
+  const w = COLUMN_GAP - 8;
+  const x = layers[0].nodes[0].x - w / 2;
+  const width = layers[layers.length - 1].nodes[0].x + w / 2 - x;
+  const h = LENS_CELL_HEIGHT;
+  lensMissingRect = { x, y, w: width, h };
+
+  ctx.globalAlpha = 0.4 * alpha;
+  ctx.strokeStyle = COLORS.text;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([3, 3]);
+  ctx.strokeRect(x, y, width, h);
+  ctx.setLineDash([]);
+
+  ctx.globalAlpha = 0.7 * alpha;
+  ctx.font = '9px system-ui';
+  ctx.fillStyle = COLORS.text;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('Este modelo no exporta hidden states', x + width / 2, y + h / 2);
+
+  ctx.font = 'bold 8px system-ui';
+  ctx.textAlign = 'right';
+  ctx.globalAlpha = 0.6 * alpha;
+  ctx.fillText('LOGIT LENS', x - 8, y + h / 2);
+}
+
+// ─── Beam tree ───
+
+const BEAM_STEP_GAP = 90;
+const BEAM_ROW_GAP = 22;
+const BEAM_MAX_STEPS = 8; // older steps scroll out of the tree
+
+function beamTreeWidth() {
+  const steps = Math.min(beamTree.steps.length, BEAM_MAX_STEPS);
+  return 60 + steps * BEAM_STEP_GAP;
+}
+
+/**
+ * Place the tree right of the output bars: one column per step, candidates
+ * in rank order, the prompt as the root on the left.
+ */
+function layoutBeamTree() {
+  beamNodes = [];
+  if (!beamTree || beamTree.steps.length === 0 || outputBars.length === 0) return;
+
+  const originX = outputBars[0].x + 340;
+  const top = outputBars[0].y;
+  const first = Math.max(0, beamTree.steps.length - BEAM_MAX_STEPS);
+  const positions = new Map();
+
+  const rootY = top + ((beamTree.steps[first].length - 1) * BEAM_ROW_GAP) / 2;
+  // Parents of the first visible step hang from one root node
+  for (const c of beamTree.steps[first]) positions.set(c.parent, { x: originX, y: rootY });
+  beamNodes.push({ id: 'root', x: originX, y: rootY, status: 'root' });
+
+  for (let s = first; s < beamTree.steps.length; s++) {
+    beamTree.steps[s].forEach((c, rank) => {
+      const node = {
+        ...c,
+        step: s,
+        x: originX + (s - first + 1) * BEAM_STEP_GAP,
+        y: top + rank * BEAM_ROW_GAP,
+        from: positions.get(c.parent) ?? null,
+      };
+      positions.set(c.id, node);
+      beamNodes.push(node);
+    });
+  }
+}
+
+function drawBeamTree(alpha) {
+  const live = new Set(beamTree.live);
+  const colors = { kept: '#fbbf24', finished: COLORS.embedding, pruned: '#484f58' };
+
+  for (const node of beamNodes) {
+    if (!node.from) continue;
+    ctx.beginPath();
+    ctx.moveTo(node.from.x, node.from.y);
+    ctx.bezierCurveTo(node.from.x + BEAM_STEP_GAP / 2, node.from.y, node.x - BEAM_STEP_GAP / 2, node.y, node.x, node.y);
+    ctx.strokeStyle = colors[node.status];
+    ctx.lineWidth = node.status === 'pruned' ? 0.8 : 1.5;
+    ctx.globalAlpha = (node.status === 'pruned' ? 0.35 : 0.7) * alpha;
+    if (node.status === 'pruned') ctx.setLineDash([2, 3]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  for (const node of beamNodes) {
+    if (node.status === 'root') {
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, 4, 0, Math.PI * 2);
+      ctx.fillStyle = COLORS.text;
+      ctx.globalAlpha = 0.8 * alpha;
+      ctx.fill();
+      continue;
+    }
+    const isBest = node.id === beamTree.best;
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, live.has(node.id) || isBest ? 5 : 3.5, 0, Math.PI * 2);
+    ctx.fillStyle = colors[node.status];
+    ctx.globalAlpha = (node.status === 'pruned' ? 0.4 : 0.95) * alpha;
+    ctx.fill();
+    if (isBest) {
+      ctx.font = '9px system-ui';
+      ctx.fillStyle = '#0d1117';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('\u2605', node.x, node.y + 0.5);
+    }
+
+    ctx.font = isBest ? 'bold 9px monospace' : '9px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = node.status === 'pruned' ? COLORS.text : COLORS.textBright;
+    ctx.globalAlpha = (node.status === 'pruned' ? 0.45 : 1) * alpha;
+    const word = node.word.length > 9 ? node.word.slice(0, 8) + '\u2026' : node.word;
+    ctx.fillText(`${word}${node.status === 'pruned' ? ' \u2715' : ''}`, node.x + 7, node.y - 1);
+    ctx.textBaseline = 'top';
+    ctx.font = '8px monospace';
+    ctx.fillStyle = COLORS.text;
+    ctx.fillText(fmt(node.logProb, 2), node.x + 7, node.y + 1);
+  }
+
+  // Title above the first column
+  const first = beamNodes[0];
+  ctx.font = 'bold 8px system-ui';
+  ctx.fillStyle = COLORS.text;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.globalAlpha = 0.6 * alpha;
+  ctx.fillText('BEAM SEARCH · log p acumulada', first.x, outputBars[0].y - 18);
+}
+
+/** Sampling stages worth listing: top-k, top-p and whatever else had an effect. */
+function visibleStages() {
+  return samplingStages.filter(s =>
+    s.name === 'top-k' || s.name === 'top-p' || (s.dropped ?? s.moved) > 0
+  );
+}
+
+function biasColor(bias) {
+  return bias > 0 ? '#fbbf24' : '#f87171';
+}
+
+function formatBias(bias) {
+  if (bias === -Infinity) return 'prohibido';
+  return `${bias > 0 ? '+' : ''}${fmt(bias, 1)}`;
+}
+
+/** Per-bar copy of a prediction: model probability and every sampling stage. */
+function barFields(p) {
+  return {
+    word: p.word,
+    tokenId: p.tokenId,
+    prob: p.prob,
+    tempProb: p.tempProb,
+    topKProb: p.topKProb,
+    stageProbs: p.stageProbs,
+    rank: p.rank,
+    logit: p.logit,
+    bias: p.bias,
+    inNucleus: p.inNucleus,
+    isSampled: p.isSampled,
+    nucleusProb: p.nucleusProb || 0,
+  };
+}
+
+/**
+ * Show a knockout (pipeline.ablate): the component is marked on its column
+ * and the bars get the model's probabilities without it. Null clears it.
+ */
+export function setAblation(result) {
+  ablation = result;
+  draw();
+}
+
+function ablationLabel() {
+  return ablation.head === null ? `sin L${ablation.layer + 1}` : `sin L${ablation.layer + 1}·H${ablation.head + 1}`;
+}
+
+/**
+ * Color the token column by occlusion attribution (pipeline.attribute), or
+ * back to the token palette with null.
+ */
+export function setAttribution(attr) {
+  attribution = attr;
+  draw();
+}
+
+/**
+ * Redraw the beam tree alone (e.g. when the search ended without a new sequence).
+ */
+export function setBeamTree(tree) {
+  beamTree = tree;
+  layoutBeamTree();
+  draw();
+}
+
 /**
  * Update output bars when temperature/top-k changes (no full rebuild).
  */
-export function updatePredictions(predictions) {
+export function updatePredictions(predictions, sampling = null) {
   if (columns.length === 0) return;
 
   // Update logit nodes
@@ -599,6 +1039,7 @@ export function updatePredictions(predictions) {
         logitCol.nodes[i].word = p.word;
         logitCol.nodes[i].prob = p.prob;
         logitCol.nodes[i].logit = p.logit;
+        logitCol.nodes[i].bias = p.bias;
       }
     });
   }
@@ -606,15 +1047,11 @@ export function updatePredictions(predictions) {
   // Update output bars (including nucleus + sampling)
   outputBars.forEach((bar, i) => {
     if (i < predictions.length) {
-      bar.word = predictions[i].word;
-      bar.prob = predictions[i].prob;
-      bar.logit = predictions[i].logit;
-      bar.inNucleus = predictions[i].inNucleus;
-      bar.isSampled = predictions[i].isSampled;
-      bar.nucleusProb = predictions[i].nucleusProb || 0;
+      Object.assign(bar, barFields(predictions[i]));
       bar.isWinner = i === 0;
     }
   });
+  if (sampling) samplingStages = sampling.stages;
 
   draw();
 }
@@ -660,16 +1097,38 @@ function handleMouseMove(e) {
   const my = (e.clientY - rect.top - panY) / zoom;
 
   let found = null;
-  // Also check output bars for hover
+  for (const node of beamNodes) {
+    const dx = mx - node.x;
+    const dy = my - node.y;
+    if (dx * dx + dy * dy < 49) {
+      found = { ...node, type: 'beam' };
+      break;
+    }
+  }
+
+  // Output bars: the dot or the bar itself (clickable, forces the token)
   for (const bar of outputBars) {
-    const dx = mx - bar.x;
-    const dy = my - bar.y;
-    if (dx * dx + dy * dy < 64) {
+    if (found) break;
+    if (mx >= bar.x - 8 && mx <= bar.x + 134 && Math.abs(my - bar.y) <= 8) {
       found = { ...bar, type: 'output' };
       break;
     }
   }
 
+  if (!found) {
+    for (const col of columns) {
+      const r = col.lensRect;
+      if (col.lens && r && mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h) {
+        found = { type: 'lens', layer: col.layer, top: col.lens.top, x: r.x, y: r.y };
+        break;
+      }
+    }
+    const r = lensMissingRect;
+    if (!found && r && mx >= r.x && mx <= r.x + r.w && my >= r.y && my <= r.y + r.h) {
+      found = { type: 'lens', layer: null, top: null, x: r.x, y: r.y };
+    }
+  }
+
   if (!found) {
     for (const col of columns) {
       for (const node of col.nodes) {
@@ -737,6 +1196,47 @@ function handleMouseMove(e) {
   }
 }
 
+/** One tooltip line per sampling filter that had an effect. */
+function stageLines(node) {
+  if (!node.stageProbs || !samplingStages) return '';
+  const shown = new Set(visibleStages().map(s => s.name));
+  return node.stageProbs
+    .filter(s => shown.has(s.name))
+    .map(s => `<b>Tras ${s.name}:</b> ${s.prob == null ? '-' : `${(s.prob * 100).toFixed(2)}%`}<br>`)
+    .join('');
+}
+
+/** The token's bytes as the tokenizer sees them, and the characters it splits. */
+function byteLines(token) {
+  if (token.special) return `<b>Token especial:</b> <span style="color:#8b949e">no corresponde a texto</span><br>`;
+  if (!token.bytes) return '';
+  const split = splitCharLines(token);
+  return `<b>Bytes:</b> ${hex(token.bytes)}${token.leadingSpace ? ' <span style="color:#8b949e">(empieza con espacio)</span>' : ''}<br>` +
+         `<b>Vocabulario:</b> ${escapeHtml(JSON.stringify(token.raw))}<br>` +
+         (split.length ? `<b>Caracter partido:</b> ${split.map(escapeHtml).join('; ')}<br>` : '');
+}
+
+/** How expected this token was given the ones before it. */
+function surprisalLines(node) {
+  if (node.index === 0) return '<b>Sorpresa:</b> <span style="color:#8b949e">primer token, no hay contexto para predecirlo</span><br>';
+  if (node.logProb == null) return '';
+  const bits = surprisalBits(node.logProb);
+  return `<b>p(token | anteriores):</b> ${(Math.exp(node.logProb) * 100).toFixed(2)}%<br>` +
+         `<b>log p:</b> ${fmt(node.logProb, 3)} · <b>Sorpresa:</b> <span style="color:${surprisalColor(bits)}">${fmt(bits, 2)} bits</span><br>`;
+}
+
+/** What happened to the top prediction without this token. */
+function attributionLines(node) {
+  if (!attribution) return '';
+  const score = attribution.scores[node.index];
+  const target = `"${escapeHtml(attribution.word)}"`;
+  if (!score) return `<b>Atribucion:</b> <span style="color:#8b949e">no se puede quitar el unico token</span><br>`;
+  const without = attribution.mode === 'remove' ? 'sin este token' : `con "${escapeHtml(attribution.filler)}" en su lugar`;
+  return `<b>p(${target}) ${without}:</b> ${(score.prob * 100).toFixed(2)}% (con todos: ${(attribution.base * 100).toFixed(2)}%)<br>` +
+         `<b>Cambio:</b> <span style="color:${attributionColor(score.drop / attribution.max)}">${score.drop >= 0 ? '-' : '+'}${(Math.abs(score.drop) * 100).toFixed(2)} pp</span> ` +
+         `<span style="color:#8b949e">(${score.drop >= 0 ? 'ayuda' : 'resta'} a la prediccion)</span><br>`;
+}
+
 /**
  * Generate detailed tooltip text for each node type.
  */
@@ -745,41 +1245,103 @@ function getTooltipText(node) {
   const dim = cfg ? cfg.hidden_dim : 768;
   const heads = cfg ? cfg.heads : 12;
   const ffn = cfg ? cfg.ffn_dim : 3072;
+  const arch = cfg?.arch;
+  const rope = arch?.positions === 'rope';
 
   switch (node.type) {
     case 'token':
-      return `<b>Token:</b> "${node.label}"<br>` +
+      return `<b>Token:</b> "${escapeHtml(node.label)}"<br>` +
              `<b>ID:</b> ${node.id}<br>` +
              `<b>Posicion:</b> ${node.index + 1} en la secuencia<br>` +
+             byteLines(node.token) +
+             surprisalLines(node) +
+             attributionLines(node) +
              `<span style="color:#8b949e">El tokenizer BPE convierte texto en IDs numericos</span>`;
 
     case 'embedding':
-      return `<b>Embedding:</b> "${node.tokenText}"<br>` +
+      return `<b>Embedding:</b> "${escapeHtml(node.tokenText)}"<br>` +
              `<b>Dimension:</b> ${dim}d (vector de ${dim} numeros)<br>` +
              `<b>Token ID:</b> ${node.id}<br>` +
+             (rope
+               ? `<b>Vector:</b> embed_tokens[${node.id}] (posicion via RoPE en la atencion)<br>`
+               : `<b>Vector:</b> wte[${node.id}] + wpe[${node.index}]<br>`) +
              `<span style="color:#34d399">Click para ver el heatmap del vector</span>`;
 
-    case 'transformer':
+    case 'transformer': {
+      const attn = columns.find(c => c.type === 'transformer' && c.layer === node.layer)?.attention;
+      const head = config.get('attentionHead');
+      const kvHeads = cfg?.kv_heads ?? heads;
+      const headsText = kvHeads === heads ? `${heads} cabezas` : `${heads} cabezas, ${kvHeads} K/V (${arch.attention.toUpperCase()})`;
+      let attnText = `<b>Atencion:</b> ${headsText}${rope ? ' + RoPE' : ''}<br>`;
+      if (attn) {
+        const labels = columns[0].nodes.map(n => n.label);
+        const top = Array.from({ length: node.index + 1 }, (_, j) => ({
+          j, w: attn.weights[node.index * attn.k + j],
+        })).sort((a, b) => b.w - a.w).slice(0, 3);
+        attnText = `<b>Atencion:</b> ${headsText} (${head === 'avg' ? 'promedio' : `cabeza ${head + 1}`})<br>` +
+                   `<b>Atiende a:</b> ${top.map(t => `"${escapeHtml(labels[t.j])}" ${(t.w * 100).toFixed(0)}%`).join(', ')}<br>`;
+      }
+      const lensCol = columns.find(c => c.type === 'transformer' && c.layer === node.layer);
+      const isLast = node.index === lensCol.nodes.length - 1;
+      const lensText = lensCol.lens && isLast
+        ? `<b>Logit lens:</b> ${lensCol.lens.top.slice(0, 3).map(t => `"${escapeHtml(t.word)}" ${(t.prob * 100).toFixed(0)}%`).join(', ')}<br>`
+        : '';
       return `<b>Capa ${node.layer + 1}</b> de ${cfg ? cfg.layers : '?'}<br>` +
              `<b>Posicion:</b> token ${node.index + 1}<br>` +
-             `<b>Atencion:</b> ${heads} cabezas<br>` +
-             `<b>FFN:</b> ${dim}→${ffn}→${dim}<br>` +
-             `<span style="color:#8b949e">Self-attention + feed-forward network</span>`;
+             attnText +
+             lensText +
+             (arch?.mlp === 'gated'
+               ? `<b>FFN:</b> ${dim}→2×${ffn} (gate · up, ${arch.activation})→${dim}<br>`
+               : `<b>FFN:</b> ${dim}→${ffn}→${dim}<br>`) +
+             `<b>Norma:</b> ${arch?.norm === 'rmsnorm' ? 'RMSNorm' : 'LayerNorm'}<br>` +
+             `<span style="color:#8b949e">Self-attention + feed-forward network</span><br>` +
+             (ablation?.layer === node.layer
+               ? `<span style="color:${COLORS.ablated}">Anulada: ${ablationLabel()} (click para restaurar)</span>`
+               : `<span style="color:#8b949e">Click para anular ${head === 'avg' ? 'esta capa' : `la cabeza ${head + 1} de esta capa`} y ver como cambia la prediccion</span>`);
+    }
+
+    case 'beam': {
+      const statusText = {
+        kept: '<span style="color:#fbbf24">sigue viva</span>',
+        finished: '<span style="color:#34d399">terminada (EOS)</span>',
+        pruned: '<span style="color:#f87171">podada</span>',
+      }[node.status];
+      return `<b>Paso ${node.step + 1}:</b> "${escapeHtml(node.word)}" ${node.id === beamTree.best ? '\u2605 mejor' : ''}<br>` +
+             `<b>log p(token):</b> ${fmt(node.tokenLogProb, 3)}<br>` +
+             `<b>log p acumulada:</b> ${fmt(node.logProb, 3)}<br>` +
+             `<b>Puntaje (length penalty ${config.get('lengthPenalty')}):</b> ${fmt(node.score, 3)}<br>` +
+             `<b>Estado:</b> ${statusText}<br>` +
+             `<span style="color:#8b949e">Se exploran los 2×ancho mejores candidatos y sobreviven los ${config.get('beamWidth')} de mayor log p acumulada</span>`;
+    }
+
+    case 'lens':
+      if (!node.top) {
+        return `<b>Logit lens no disponible</b><br>` +
+               `<span style="color:#8b949e">El export ONNX no tiene salidas hidden_states.N; hace falta uno hecho con output_hidden_states=True</span>`;
+      }
+      return `<b>Logit lens · capa ${node.layer + 1}</b><br>` +
+             node.top.map((t, i) => `${i + 1}. "${escapeHtml(t.word)}" ${(t.prob * 100).toFixed(1)}%`).join('<br>') + '<br>' +
+             `<span style="color:#8b949e">${arch?.norm === 'rmsnorm' ? 'RMSNorm' : 'LayerNorm'} final + unembedding aplicados al estado oculto de esta capa (ultima posicion)</span>`;
 
     case 'logit':
-      return `<b>${node.word}</b><br>` +
+      return `<b>${escapeHtml(node.word)}</b><br>` +
              `<b>Logit:</b> ${fmt(node.logit, 4)}<br>` +
-             `<b>Prob:</b> ${(node.prob * 100).toFixed(2)}%<br>` +
+             (node.bias ? `<b>Sesgo:</b> <span style="color:${biasColor(node.bias)}">${formatBias(node.bias)}</span> (se suma antes de la temperatura)<br>` : '') +
+             `<b>Prob. del modelo:</b> ${(node.prob * 100).toFixed(2)}%<br>` +
              `<b>Rank:</b> #${node.index + 1}<br>` +
              `<span style="color:#8b949e">Temp: ${config.get('temperature').toFixed(2)}</span>`;
 
     case 'output':
-      return `<b>${node.word}</b> ${node.isSampled ? '<span style="color:#fbbf24">\u2605 SAMPLEADO</span>' : ''}<br>` +
-             `<b>Probabilidad:</b> ${(node.prob * 100).toFixed(2)}%<br>` +
-             (node.inNucleus ? `<b>Prob. nucleus:</b> ${(node.nucleusProb * 100).toFixed(2)}%<br>` : '') +
-             `<b>Logit raw:</b> ${fmt(node.logit, 4)}<br>` +
-             `<b>Nucleus:</b> ${node.inNucleus ? '<span style="color:#34d399">Si</span>' : '<span style="color:#f87171">No (filtrado por top-p)</span>'}<br>` +
-             `<span style="color:#8b949e">softmax(logit / T) → top-p filtering → sample</span>`;
+      return `<b>${escapeHtml(node.word)}</b> ${node.isSampled ? '<span style="color:#fbbf24">\u2605 SAMPLEADO</span>' : ''}<br>` +
+             `<b>Prob. del modelo:</b> ${(node.prob * 100).toFixed(2)}%<br>` +
+             `<b>Con penalizaciones y T=${config.get('temperature').toFixed(2)}:</b> ${(node.tempProb * 100).toFixed(2)}%<br>` +
+             stageLines(node) +
+             `<b>Final:</b> ${node.inNucleus ? `${(node.nucleusProb * 100).toFixed(2)}%` : '<span style="color:#f87171">0% (filtrado)</span>'}<br>` +
+             `<b>Logit raw:</b> ${fmt(node.logit, 4)} · <b>Rank:</b> #${node.rank}<br>` +
+             (ablation ? `<b>Prob. ${ablationLabel()}:</b> <span style="color:${COLORS.ablatedProb}">${(ablation.probs[node.tokenId] * 100).toFixed(2)}%</span><br>` : '') +
+             (node.bias ? `<b>Sesgo:</b> <span style="color:${biasColor(node.bias)}">${formatBias(node.bias)}</span><br>` : '') +
+             `<span style="color:#8b949e">penalizaciones → softmax(logits / T) sobre todo el vocabulario → filtros → sample</span><br>` +
+             `<span style="color:#8b949e">Click para forzar este token y abrir una rama</span>`;
 
     default:
       return '';
@@ -805,7 +1367,11 @@ function handleMouseLeave() {
 function handleClick(e) {
   if (!hoveredNode) return;
   if (hoveredNode.type === 'embedding' && onEmbeddingClick) {
-    onEmbeddingClick(hoveredNode.id, hoveredNode.tokenText);
+    onEmbeddingClick(hoveredNode.id, hoveredNode.tokenText, hoveredNode.index);
+  } else if (hoveredNode.type === 'output' && onOutputClickCb) {
+    onOutputClickCb(hoveredNode.tokenId, hoveredNode.word);
+  } else if (hoveredNode.type === 'transformer' && onLayerClickCb) {
+    onLayerClickCb(hoveredNode.layer);
   }
 }
 
@@ -868,10 +1434,25 @@ export function onHoverZone(cb) {
   onHoverZoneChange = cb;
 }
 
+/** Called with (layer) when a transformer node is clicked. */
+export function onLayerClick(cb) {
+  onLayerClickCb = cb;
+}
+
+/** Called with (tokenId, word) when an output bar is clicked. */
+export function onOutputClick(cb) {
+  onOutputClickCb = cb;
+}
+
 export function getModelConfig() {
   return currentModelCfg;
 }
 
+/** Fit the canvas to its container again (e.g. after the view splits). */
+export function resize() {
+  if (canvas) resizeCanvas();
+}
+
 // Zoom controls
 export function zoomIn() {
   zoom = clamp(zoom * 1.3, 0.15, 4);
@@ -886,9 +1467,15 @@ export function zoomOut() {
 export function clear() {
   columns = [];
   outputBars = [];
+  samplingStages = null;
+  beamTree = null;
+  beamNodes = [];
   travelParticle = null;
   hoveredNode = null;
   currentModelCfg = null;
+  attentionData = null;
+  attribution = null;
+  ablation = null;
   animProgress = 0;
   if (ctx) {
     ctx.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
@@ -0,0 +1,487 @@
+/**
+ * Reads weight tensors straight out of an ONNX file.
+ * Streams the protobuf so only the initializers we ask for stay in memory;
+ * indexModel() instead maps a whole file already in memory, for patching.
+ */
+
+// Cache Storage entry Transformers.js downloads into (worker.js's fileCache)
+export const CACHE_NAME = 'transformers-cache';
+
+// ONNX TensorProto.DataType values we know how to turn into floats
+export const DTYPE = {
+  FLOAT: 1,
+  UINT8: 2,
+  INT8: 3,
+  FLOAT16: 10,
+};
+
+/**
+ * Byte reader over a ReadableStream. Keeps a single chunk in memory and
+ * tracks the absolute offset so nested protobuf messages can be bounded.
+ */
+class StreamReader {
+  constructor(stream) {
+    this.reader = stream.getReader();
+    this.chunk = new Uint8Array(0);
+    this.pos = 0;
+    this.offset = 0;
+  }
+
+  async fill() {
+    while (this.pos >= this.chunk.length) {
+      const { done, value } = await this.reader.read();
+      if (done) return false;
+      this.chunk = value;
+      this.pos = 0;
+    }
+    return true;
+  }
+
+  async byte() {
+    if (!(await this.fill())) throw new Error('Unexpected end of ONNX file');
+    this.offset++;
+    return this.chunk[this.pos++];
+  }
+
+  async varint() {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = await this.byte();
+      result += (b & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (b & 0x80);
+    return result;
+  }
+
+  async skip(n) {
+    while (n > 0) {
+      if (!(await this.fill())) throw new Error('Unexpected end of ONNX file');
+      const take = Math.min(n, this.chunk.length - this.pos);
+      this.pos += take;
+      this.offset += take;
+      n -= take;
+    }
+  }
+
+  async read(n) {
+    const out = new Uint8Array(n);
+    let o = 0;
+    while (o < n) {
+      if (!(await this.fill())) throw new Error('Unexpected end of ONNX file');
+      const take = Math.min(n - o, this.chunk.length - this.pos);
+      out.set(this.chunk.subarray(this.pos, this.pos + take), o);
+      this.pos += take;
+      this.offset += take;
+      o += take;
+    }
+    return out;
+  }
+
+  cancel() {
+    this.reader.cancel().catch(() => {});
+  }
+}
+
+async function readTag(r) {
+  const tag = await r.varint();
+  return { field: Math.floor(tag / 8), wire: tag & 7 };
+}
+
+async function skipField(r, wire) {
+  if (wire === 0) await r.varint();
+  else if (wire === 1) await r.skip(8);
+  else if (wire === 2) await r.skip(await r.varint());
+  else if (wire === 5) await r.skip(4);
+  else throw new Error(`Unsupported protobuf wire type ${wire}`);
+}
+
+async function readString(r) {
+  const bytes = await r.read(await r.varint());
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Parse one TensorProto. `keep(tensor, byteLength)` decides whether the
+ * payload is copied; dims and data_type are always known by then because
+ * protobuf writers emit fields in field-number order.
+ */
+async function parseTensor(r, end, keep) {
+  const tensor = { name: '', dims: [], dataType: 0, data: null, external: null };
+  while (r.offset < end) {
+    const { field, wire } = await readTag(r);
+    if (field === 1 && wire === 2) {
+      const len = await r.varint();
+      const stop = r.offset + len;
+      while (r.offset < stop) tensor.dims.push(await r.varint());
+    } else if (field === 1) {
+      tensor.dims.push(await r.varint());
+    } else if (field === 2) {
+      tensor.dataType = await r.varint();
+    } else if ((field === 4 || field === 9) && wire === 2) {
+      // float_data (packed) and raw_data share the same little-endian layout
+      const len = await r.varint();
+      if (keep(tensor, len)) tensor.data = await r.read(len);
+      else await r.skip(len);
+    } else if (field === 8) {
+      tensor.name = await readString(r);
+    } else if (field === 13 && wire === 2) {
+      const len = await r.varint();
+      const stop = r.offset + len;
+      let key = '', value = '';
+      while (r.offset < stop) {
+        const entry = await readTag(r);
+        if (entry.field === 1) key = await readString(r);
+        else if (entry.field === 2) value = await readString(r);
+        else await skipField(r, entry.wire);
+      }
+      tensor.external = tensor.external || {};
+      tensor.external[key] = value;
+    } else {
+      await skipField(r, wire);
+    }
+  }
+  return tensor;
+}
+
+async function parseGraph(r, end, keep, tensors) {
+  while (r.offset < end) {
+    const { field, wire } = await readTag(r);
+    if (field === 5 && wire === 2) {
+      const len = await r.varint();
+      const tensor = await parseTensor(r, r.offset + len, keep);
+      if (tensor.data || tensor.external) tensors.set(tensor.name, tensor);
+    } else {
+      await skipField(r, wire);
+    }
+  }
+}
+
+/**
+ * Fetch a file, preferring the copy Transformers.js already stored in Cache Storage.
+ */
+export async function openFile(url) {
+  if (typeof caches !== 'undefined') {
+    try {
+      const cache = await caches.open(CACHE_NAME);
+      const cached = await cache.match(url);
+      if (cached) return cached;
+    } catch {
+      // Cache Storage unavailable (private mode, file://): fall through to network
+    }
+  }
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`No se pudo leer ${url} (${res.status})`);
+  return res;
+}
+
+/**
+ * Stream an ONNX model and return its initializers as a Map of name → tensor.
+ * Only tensors accepted by `keep` carry their bytes; tensors stored in an
+ * external data file are read from the file next to `url`. `open` resolves
+ * a URL to a Response (defaults to cache-then-network).
+ */
+export async function readInitializers(url, keep, open = openFile) {
+  const res = await open(url);
+  const r = new StreamReader(res.body);
+  const tensors = new Map();
+
+  try {
+    while (await r.fill()) {
+      const { field, wire } = await readTag(r);
+      if (field === 7 && wire === 2) {
+        const len = await r.varint();
+        await parseGraph(r, r.offset + len, keep, tensors);
+      } else {
+        await skipField(r, wire);
+      }
+    }
+  } finally {
+    r.cancel();
+  }
+
+  await resolveExternal(url, tensors, keep, open);
+  return tensors;
+}
+
+/**
+ * Copy the byte ranges of externally stored tensors out of their data files.
+ */
+async function resolveExternal(url, tensors, keep, open) {
+  const byFile = new Map();
+  for (const t of tensors.values()) {
+    if (!t.external || t.data) continue;
+    const length = Number(t.external.length);
+    if (!keep(t, length)) {
+      tensors.delete(t.name);
+      continue;
+    }
+    const file = t.external.location;
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(t);
+  }
+
+  const base = url.slice(0, url.lastIndexOf('/') + 1);
+  for (const [file, list] of byFile) {
+    list.sort((a, b) => Number(a.external.offset) - Number(b.external.offset));
+    const res = await open(base + file);
+    const r = new StreamReader(res.body);
+    try {
+      for (const t of list) {
+        await r.skip(Number(t.external.offset || 0) - r.offset);
+        t.data = await r.read(Number(t.external.length));
+      }
+    } finally {
+      r.cancel();
+    }
+  }
+}
+
+/** Decode one IEEE 754 half-precision value from its 16 bits. */
+export function halfToFloat(h) {
+  const s = (h & 0x8000) ? -1 : 1;
+  const e = (h >> 10) & 0x1f;
+  const f = h & 0x3ff;
+  if (e === 0) return s * 2 ** -14 * (f / 1024);
+  if (e === 31) return f ? NaN : s * Infinity;
+  return s * 2 ** (e - 15) * (1 + f / 1024);
+}
+
+/** Convert a small tensor (LayerNorm weights, scales) to Float32Array. */
+export function toFloat32(tensor) {
+  const { data, dataType } = tensor;
+  const buf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  if (dataType === DTYPE.FLOAT) return new Float32Array(buf);
+  if (dataType === DTYPE.FLOAT16) return Float32Array.from(new Uint16Array(buf), halfToFloat);
+  if (dataType === DTYPE.UINT8) return Float32Array.from(new Uint8Array(buf));
+  if (dataType === DTYPE.INT8) return Float32Array.from(new Int8Array(buf));
+  throw new Error(`Tipo de tensor ONNX no soportado: ${dataType}`);
+}
+
+/**
+ * Wrap a 2-D initializer as a matrix whose rows are decoded on demand.
+ * Handles fp32, fp16 and 8-bit tensors quantized with a `_scale` /
+ * `_zero_point` pair (per-tensor or per-row), which is what the
+ * onnx-community q8 exports use for Gather weights.
+ */
+export function toMatrix(tensor, scale = null, zeroPoint = null) {
+  const [rows, cols] = tensor.dims;
+  const { data, dataType } = tensor;
+  const buf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  let values;
+  if (dataType === DTYPE.FLOAT) values = new Float32Array(buf);
+  else if (dataType === DTYPE.FLOAT16) values = new Uint16Array(buf);
+  else if (dataType === DTYPE.UINT8) values = new Uint8Array(buf);
+  else if (dataType === DTYPE.INT8) values = new Int8Array(buf);
+  else throw new Error(`Tipo de tensor ONNX no soportado: ${dataType}`);
+
+  const scales = scale ? toFloat32(scale) : null;
+  const zeros = zeroPoint ? toFloat32(zeroPoint) : null;
+
+  function row(i) {
+    const out = new Float32Array(cols);
+    const offset = i * cols;
+    if (dataType === DTYPE.FLOAT) {
+      out.set(values.subarray(offset, offset + cols));
+    } else if (dataType === DTYPE.FLOAT16) {
+      for (let j = 0; j < cols; j++) out[j] = halfToFloat(values[offset + j]);
+    } else {
+      const s = scales ? (scales.length === rows ? scales[i] : scales[0]) : 1;
+      const z = zeros ? (zeros.length === rows ? zeros[i] : zeros[0]) : 0;
+      for (let j = 0; j < cols; j++) out[j] = (values[offset + j] - z) * s;
+    }
+    return out;
+  }
+
+  /** Dot product of every row with `vec` (the unembedding projection). */
+  function matVec(vec) {
+    const out = new Float32Array(rows);
+    let vecSum = 0;
+    for (let j = 0; j < cols; j++) vecSum += vec[j];
+
+    for (let i = 0; i < rows; i++) {
+      const offset = i * cols;
+      let sum = 0;
+      if (dataType === DTYPE.FLOAT16) {
+        for (let j = 0; j < cols; j++) sum += halfToFloat(values[offset + j]) * vec[j];
+        out[i] = sum;
+        continue;
+      }
+      for (let j = 0; j < cols; j++) sum += values[offset + j] * vec[j];
+      if (dataType === DTYPE.FLOAT) {
+        out[i] = sum;
+      } else {
+        // (q - z) · s summed over the row = s · (q·v - z·Σv)
+        const s = scales ? (scales.length === rows ? scales[i] : scales[0]) : 1;
+        const z = zeros ? (zeros.length === rows ? zeros[i] : zeros[0]) : 0;
+        out[i] = s * (sum - z * vecSum);
+      }
+    }
+    return out;
+  }
+
+  return { rows, cols, row, matVec };
+}
+
+/**
+ * Look up a matrix by candidate names, following the `<name>_quantized`
+ * convention of quantized exports.
+ */
+export function findMatrix(tensors, names) {
+  for (const name of names) {
+    const plain = tensors.get(name);
+    if (plain?.data && plain.dims.length === 2) return toMatrix(plain);
+
+    const quant = tensors.get(`${name}_quantized`);
+    if (quant?.data && quant.dims.length === 2) {
+      return toMatrix(quant, tensors.get(`${name}_scale`), tensors.get(`${name}_zero_point`));
+    }
+  }
+  return null;
+}
+
+/**
+ * Fallback when names were rewritten by the exporter: pick the only 2-D
+ * tensor with the expected shape.
+ */
+export function findMatrixByShape(tensors, rows, cols) {
+  for (const t of tensors.values()) {
+    if (!t.data || t.dims.length !== 2 || t.dims[0] !== rows || t.dims[1] !== cols) continue;
+    const base = t.name.replace(/_quantized$/, '');
+    return toMatrix(t, tensors.get(`${base}_scale`), tensors.get(`${base}_zero_point`));
+  }
+  return null;
+}
+
+// ─── In-memory index (ablation) ───
+
+/** Cursor over a whole ONNX file held in memory. */
+class BufferReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  varint() {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = this.bytes[this.offset++];
+      result += (b & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (b & 0x80);
+    return result;
+  }
+
+  /** Read a length prefix and return where that field ends. */
+  end() {
+    const len = this.varint();
+    return this.offset + len;
+  }
+
+  tag() {
+    const tag = this.varint();
+    return { field: Math.floor(tag / 8), wire: tag & 7 };
+  }
+
+  skip(wire) {
+    if (wire === 0) this.varint();
+    else if (wire === 1) this.offset += 8;
+    else if (wire === 2) this.offset += this.varint();
+    else if (wire === 5) this.offset += 4;
+    else throw new Error(`Unsupported protobuf wire type ${wire}`);
+  }
+
+  string() {
+    const len = this.varint();
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + len));
+    this.offset += len;
+    return text;
+  }
+}
+
+/** NodeProto → { name, opType, inputs, attributes } (integer attributes only). */
+function indexNode(r, end) {
+  const node = { name: '', opType: '', inputs: [], attributes: {} };
+  while (r.offset < end) {
+    const { field, wire } = r.tag();
+    if (field === 1 && wire === 2) node.inputs.push(r.string());
+    else if (field === 3 && wire === 2) node.name = r.string();
+    else if (field === 4 && wire === 2) node.opType = r.string();
+    else if (field === 5 && wire === 2) {
+      const stop = r.end();
+      let name = '';
+      while (r.offset < stop) {
+        const attr = r.tag();
+        if (attr.field === 1 && attr.wire === 2) name = r.string();
+        else if (attr.field === 3 && attr.wire === 0) node.attributes[name] = r.varint();
+        else r.skip(attr.wire);
+      }
+    } else {
+      r.skip(wire);
+    }
+  }
+  return node;
+}
+
+/** TensorProto → { name, dims, dataType, offset, length, external } with the payload's position. */
+function indexTensor(r, end) {
+  const tensor = { name: '', dims: [], dataType: 0, offset: -1, length: 0, external: false };
+  while (r.offset < end) {
+    const { field, wire } = r.tag();
+    if (field === 1 && wire === 2) {
+      const stop = r.end();
+      while (r.offset < stop) tensor.dims.push(r.varint());
+    } else if (field === 1) {
+      tensor.dims.push(r.varint());
+    } else if (field === 2) {
+      tensor.dataType = r.varint();
+    } else if ((field === 4 || field === 9) && wire === 2) {
+      tensor.length = r.varint();
+      tensor.offset = r.offset;
+      r.offset += tensor.length;
+    } else if (field === 8) {
+      tensor.name = r.string();
+    } else if (field === 13) {
+      tensor.external = true;
+      r.skip(wire);
+    } else {
+      r.skip(wire);
+    }
+  }
+  return tensor;
+}
+
+/**
+ * Index an ONNX model held in memory: the top-level graph's nodes and where
+ * each initializer's bytes sit in `bytes`, so a copy of the file can be
+ * patched in place. Returns { nodes, initializers: Map name → tensor }.
+ */
+export function indexModel(bytes) {
+  const r = new BufferReader(bytes);
+  const nodes = [];
+  const initializers = new Map();
+  while (r.offset < bytes.length) {
+    const { field, wire } = r.tag();
+    if (field !== 7 || wire !== 2) {
+      r.skip(wire);
+      continue;
+    }
+    const end = r.end();
+    while (r.offset < end) {
+      const { field: graphField, wire: graphWire } = r.tag();
+      if (graphField === 1 && graphWire === 2) {
+        nodes.push(indexNode(r, r.end()));
+      } else if (graphField === 5 && graphWire === 2) {
+        const tensor = indexTensor(r, r.end());
+        initializers.set(tensor.name, tensor);
+      } else {
+        r.skip(graphWire);
+      }
+    }
+  }
+  return { nodes, initializers };
+}
@@ -0,0 +1,1021 @@
+/**
+ * Inference worker: owns Transformers.js, the tokenizer and the ONNX session
+ * so model loading and forward passes never block the canvas or the sliders.
+ * Talks to models.js with { id, type, payload } messages.
+ */
+
+import { readInitializers, findMatrix, findMatrixByShape, toFloat32, halfToFloat, openFile, CACHE_NAME } from './weights.js';
+import { layerNorm, rmsNorm } from './utils.js';
+import { configFromPretrained } from './architectures.js';
+import { prepare, knockOut } from './ablation.js';
+
+const CDN_URL = 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1';
+// Offline copy of the package's dist/ folder (library + ONNX Runtime wasm files)
+const VENDOR_DIR = new URL('../vendor/transformers/', import.meta.url).href;
+
+let transformers = null;
+
+async function loadTransformers() {
+  if (!transformers) {
+    try {
+      transformers = await import(CDN_URL);
+    } catch (err) {
+      console.warn('[worker] CDN unavailable, using vendor/transformers:', err.message);
+      transformers = await import(VENDOR_DIR + 'transformers.min.js');
+      transformers.env.backends.onnx.wasm.wasmPaths = VENDOR_DIR;
+    }
+    transformers.env.allowLocalModels = false;
+    transformers.env.useBrowserCache = false;
+    transformers.env.useCustomCache = true;
+    transformers.env.customCache = fileCache;
+  }
+  return transformers;
+}
+
+// File suffixes Transformers.js uses for each dtype under onnx/
+const DTYPE_SUFFIX = {
+  fp32: '',
+  fp16: '_fp16',
+  q8: '_quantized',
+  int8: '_int8',
+  uint8: '_uint8',
+  q4: '_q4',
+  q4f16: '_q4f16',
+  bnb4: '_bnb4',
+};
+
+// Extra outputs of ONNX exports made with output_attentions=True: attentions.0 … attentions.N-1
+const ATTENTION_OUTPUT = /^attentions\.(\d+)$/;
+// …and with output_hidden_states=True: hidden_states.0 (embeddings) … hidden_states.N (after ln_f)
+const HIDDEN_STATE_OUTPUT = /^hidden_states\.(\d+)$/;
+
+let currentTokenizer = null;
+let vocabTexts = null; // decoded text of every token id, built on the first vocabulary search
+let mergeRanks = null; // "a b" → rank of that merge in the BPE table, built on the first trace
+let currentModel = null;
+let currentModelId = null;
+let currentConfig = null;
+let modelWeights = null; // Promise<{ wte, wpe, unembed, finalNorm }>, read lazily from the ONNX file
+// { ids, past, attentions, logits, tokenLogProbs } of recent forward passes, oldest first. Several
+// entries let beam search extend each live hypothesis from its own cache.
+let kvCaches = [];
+const MAX_KV_ENTRIES = 12;
+
+// Files dropped by the user: synthetic model id ('dropped/<name>') → Map<relative path, File>
+const droppedModels = new Map();
+
+// Order in which variants() reports the ONNX variants a model ships
+const DTYPE_ORDER = ['fp32', 'q8', 'fp16', 'q4', 'bnb4', 'int8', 'uint8', 'q4f16'];
+// A graph or its external data: onnx/model_q4.onnx, model.onnx_data, model.onnx_data_1
+const ONNX_FILE = /\.onnx(_data(_\d+)?)?$/;
+
+// ─── Handlers ───
+
+/**
+ * Load a model and tokenizer, streaming progress events back. `device` is
+ * 'wasm' or 'webgpu'; WebGPU falls back to WASM when the browser has no
+ * adapter or the session can't be created on it. `numThreads` (0 = ORT's
+ * default) only counts on the worker's first load: ORT reads it once.
+ * Returns { capabilities } describing the export's extra outputs, the
+ * model's config.json as Transformers.js parsed it and stats: { dtype, device,
+ * fallback, threads, bytes, loadMs } with the backend actually used (and why
+ * WebGPU wasn't), the WASM threads, the size of the ONNX files read (null if
+ * none reported) and the time to load.
+ */
+async function load({ modelId, config, files, device = 'wasm', numThreads = 0 }, onProgress) {
+  onProgress({ phase: 'init', message: 'Inicializando Transformers.js...' });
+  const tf = await loadTransformers();
+  if (numThreads > 0) tf.env.backends.onnx.wasm.numThreads = numThreads;
+  if (files) keepDroppedFiles(modelId, files);
+  modelWeights = null;
+  vocabTexts = null;
+  mergeRanks = null;
+  clearKvCache();
+  await releaseAblation();
+
+  const repo = useSource(modelId, config);
+  const started = performance.now();
+
+  // Load tokenizer
+  onProgress({ phase: 'tokenizer', message: 'Cargando tokenizer...' });
+  currentTokenizer = await tf.AutoTokenizer.from_pretrained(repo);
+
+  // Load model with progress (track total bytes across all files)
+  onProgress({ phase: 'model', message: 'Descargando modelo...', progress: 0 });
+
+  const fileProgress = {}; // { file: { loaded, total } }
+
+  let backend = device;
+  let fallback = device === 'webgpu' ? await webgpuProblem() : null;
+  if (fallback) {
+    backend = 'wasm';
+    onProgress({ phase: 'model', message: `WebGPU no disponible (${fallback}): usando WASM`, progress: 0 });
+  }
+
+  const options = {
+    dtype: config.dtype || 'fp32',
+    progress_callback: (p) => {
+      // `name` is the repo, `file` the path inside it
+      const file = p.file || p.name;
+      if (p.status === 'initiate' && file) {
+        fileProgress[file] = { loaded: 0, total: 0 };
+      }
+      if (p.status === 'progress' && file) {
+        fileProgress[file] = { loaded: p.loaded || 0, total: p.total || 0 };
+        let totalLoaded = 0, totalSize = 0;
+        for (const f of Object.values(fileProgress)) {
+          totalLoaded += f.loaded;
+          totalSize += f.total;
+        }
+        const overall = totalSize > 0 ? (totalLoaded / totalSize) * 100 : 0;
+        onProgress({
+          phase: 'model',
+          message: `Descargando modelo... ${Math.round(overall)}%`,
+          progress: overall,
+        });
+      }
+      if (p.status === 'done' && file) {
+        const f = fileProgress[file];
+        if (f) f.loaded = f.total;
+      }
+    },
+  };
+  try {
+    currentModel = await tf.AutoModelForCausalLM.from_pretrained(repo, { ...options, device: backend });
+  } catch (err) {
+    if (backend !== 'webgpu') throw err;
+    console.warn('[worker] WebGPU session failed, using WASM:', err.message);
+    fallback = err.message;
+    backend = 'wasm';
+    onProgress({ phase: 'model', message: 'WebGPU fallo: cargando con WASM...', progress: 0 });
+    currentModel = await tf.AutoModelForCausalLM.from_pretrained(repo, { ...options, device: backend });
+  }
+
+  const loadMs = performance.now() - started;
+  const onnxFiles = Object.entries(fileProgress).filter(([file]) => ONNX_FILE.test(file));
+  const bytes = onnxFiles.reduce((sum, [, f]) => sum + f.total, 0);
+
+  const json = JSON.parse(JSON.stringify(currentModel.config));
+  currentModelId = modelId;
+  currentConfig = { ...config, ...configFromPretrained(json) };
+  onProgress({ phase: 'ready', message: 'Modelo listo' });
+  return {
+    capabilities: getCapabilities(),
+    config: json,
+    stats: {
+      dtype: config.dtype || 'fp32',
+      device: backend,
+      fallback,
+      // Without cross-origin isolation there is no SharedArrayBuffer and ORT runs on one thread
+      threads: backend === 'wasm' ? (self.crossOriginIsolated ? tf.env.backends.onnx.wasm.numThreads || null : 1) : null,
+      bytes: bytes || null,
+      loadMs,
+    },
+  };
+}
+
+/** Why WebGPU can't be used in this worker, or null when it has an adapter. */
+async function webgpuProblem() {
+  if (!navigator.gpu) return 'el navegador no expone WebGPU';
+  try {
+    return (await navigator.gpu.requestAdapter()) ? null : 'no hay adaptador de GPU';
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Point Transformers.js at a model's files and return the id to load.
+ * Hub models keep the defaults; local folders are fetched from their URL and
+ * dropped files are answered by fileCache, neither falling back to the hub.
+ */
+function useSource(modelId, config) {
+  const { env } = transformers;
+  env.allowRemoteModels = !config.source;
+  env.allowLocalModels = config.source === 'local';
+  if (config.source === 'local') {
+    const folder = new URL(config.url);
+    env.localModelPath = new URL('..', folder).href;
+    return folder.pathname.split('/').filter(Boolean).pop();
+  }
+  return modelId;
+}
+
+/**
+ * Read config.json of a hub repo, a local folder or a set of dropped files and
+ * list which ONNX dtypes it ships. Dropped files are kept so a later load can
+ * find them. Returns { config, variants } (see variants()).
+ */
+async function inspect({ repo, url, id, files }) {
+  let readText, exists;
+  if (files) {
+    const map = keepDroppedFiles(id, files);
+    readText = (path) => map.get(path)?.text();
+    exists = async (path) => map.has(path);
+  } else {
+    if (repo) {
+      await loadTransformers();
+      url = hubUrl(repo);
+    }
+    readText = async (path) => {
+      const res = await fetch(new URL(path, url));
+      return res.ok ? res.text() : undefined;
+    };
+    exists = async (path) => (await fetch(new URL(path, url), { method: 'HEAD' })).ok;
+  }
+
+  const text = await readText('config.json');
+  if (!text) throw new Error('No se encontro config.json');
+  if (!(await exists('tokenizer.json'))) throw new Error('No se encontro tokenizer.json');
+
+  return { config: JSON.parse(text), variants: await variants({ repo, url, id }) };
+}
+
+/**
+ * The ONNX dtypes a model ships, in DTYPE_ORDER: [{ dtype, size }] where size
+ * counts the graph plus its external data in bytes (null when the server
+ * doesn't say). Hub repos are listed with one API call; local folders answer
+ * HEAD requests and dropped models must have been inspected first.
+ */
+async function variants({ repo, url, id }) {
+  const sizeOf = await fileSizes({ repo, url, id });
+  const found = [];
+  for (const dtype of DTYPE_ORDER) {
+    const size = await sizeOf(`onnx/model${DTYPE_SUFFIX[dtype]}.onnx`);
+    if (size !== undefined) found.push({ dtype, size });
+  }
+  return found;
+}
+
+/**
+ * A lookup path → bytes of that ONNX graph and its _data files, null when
+ * the size is unknown and undefined when the graph doesn't exist.
+ */
+async function fileSizes({ repo, url, id }) {
+  const fromListing = (sizes) => async (path) => {
+    if (!sizes.has(path)) return undefined;
+    let total = 0;
+    for (const [file, size] of sizes) {
+      if (file === path || file.startsWith(`${path}_data`)) total += size;
+    }
+    return total;
+  };
+
+  if (id && droppedModels.has(id)) {
+    const files = droppedModels.get(id);
+    return fromListing(new Map([...files].map(([path, file]) => [path, file.size])));
+  }
+  if (repo) {
+    const { env } = await loadTransformers();
+    url = hubUrl(repo);
+    try {
+      const res = await fetch(new URL(`api/models/${repo}/tree/main/onnx`, env.remoteHost));
+      if (res.ok) {
+        const entries = await res.json();
+        return fromListing(new Map(entries.map(e => [e.path, e.lfs?.size ?? e.size])));
+      }
+    } catch {
+      // Mirrors without the hub API: fall back to HEAD requests
+    }
+  }
+
+  const head = async (path) => {
+    const res = await fetch(new URL(path, url), { method: 'HEAD' });
+    if (!res.ok) return undefined;
+    return Number(res.headers.get('x-linked-size') || res.headers.get('content-length')) || null;
+  };
+  return async (path) => {
+    const size = await head(path);
+    if (!size) return size;
+    return size + ((await head(`${path}_data`)) ?? 0);
+  };
+}
+
+function getCapabilities() {
+  const outputs = currentModel?.sessions?.model?.outputNames || [];
+  return {
+    attentions: outputs.some(name => ATTENTION_OUTPUT.test(name)),
+    hiddenStates: outputs.some(name => HIDDEN_STATE_OUTPUT.test(name)),
+  };
+}
+
+/**
+ * Tokenize text. Returns { tokens: [{id, text}], ids }.
+ */
+function tokenize({ text }) {
+  if (!currentTokenizer) throw new Error('Tokenizer not loaded');
+  const encoded = currentTokenizer(text);
+  const ids = Array.from(encoded.input_ids.data).map(Number);
+  const tokens = ids.map(id => ({
+    id,
+    text: currentTokenizer.decode([id]),
+  }));
+  return { tokens, ids };
+}
+
+/**
+ * Run a forward pass over `ids` and return logits for the last position,
+ * the log-probability the model gave each token of `ids` (null for the
+ * first), plus attentions / hidden states when the export provides them
+ * (skipped with `logitsOnly`). When `ids` extends a recently run sequence,
+ * only the new tokens are fed and that sequence's past_key_values cover the prefix.
+ */
+async function forward({ ids, logitsOnly = false }) {
+  if (!currentModel) throw new Error('Model not loaded');
+  const { Tensor } = transformers;
+
+  const seqLen = ids.length;
+  const cached = findKvCache(ids);
+  const newIds = cached ? ids.slice(cached.ids.length) : ids;
+
+  const inputs = {
+    input_ids: new Tensor('int64', BigInt64Array.from(newIds, BigInt), [1, newIds.length]),
+    attention_mask: new Tensor('int64', new BigInt64Array(seqLen).fill(1n), [1, seqLen]),
+  };
+  if (cached) inputs.past_key_values = cached.past;
+
+  const started = performance.now();
+  const output = await currentModel(inputs);
+  const ms = performance.now() - started;
+
+  // Logits can be wider than the tokenizer's vocabulary (Qwen pads it), so trust the tensor
+  const vocabSize = output.logits.dims[output.logits.dims.length - 1];
+  const start = (newIds.length - 1) * vocabSize;
+  const rawLogits = floats(output.logits);
+  const lastLogits = new Float32Array(vocabSize);
+  for (let i = 0; i < vocabSize; i++) {
+    lastLogits[i] = Number(rawLogits[start + i]);
+  }
+
+  // Position j's logits score token j + 1; the cache holds the prefix's scores
+  // and its last logits, which score the first new token
+  const tokenLogProbs = cached
+    ? [...cached.tokenLogProbs, logProbAt(cached.logits, 0, vocabSize, newIds[0])]
+    : [null];
+  for (let j = 0; j < newIds.length - 1; j++) {
+    tokenLogProbs.push(logProbAt(rawLogits, j * vocabSize, vocabSize, newIds[j + 1]));
+  }
+
+  const attentions = [];
+  const hiddenStates = [];
+  for (const [name, tensor] of Object.entries(output)) {
+    const attnMatch = name.match(ATTENTION_OUTPUT);
+    if (attnMatch) {
+      const layer = Number(attnMatch[1]);
+      attentions[layer] = extendAttention(cached?.attentions?.[layer], tensor, seqLen);
+    }
+    const hiddenMatch = name.match(HIDDEN_STATE_OUTPUT);
+    if (hiddenMatch) {
+      const dim = tensor.dims[tensor.dims.length - 1];
+      const offset = (newIds.length - 1) * dim;
+      hiddenStates[Number(hiddenMatch[1])] = Float32Array.from(floats(tensor).slice(offset, offset + dim), Number);
+    }
+  }
+
+  addKvCache({ ids: ids.slice(), past: presentToPast(output), attentions, logits: lastLogits.slice(), tokenLogProbs });
+
+  return {
+    logits: lastLogits,
+    vocabSize,
+    tokenLogProbs: tokenLogProbs.slice(),
+    attentions: attentions.length && !logitsOnly ? attentions.map(copyAttention) : null,
+    hiddenStates: hiddenStates.length && !logitsOnly ? hiddenStates : null,
+    cachedTokens: cached ? cached.ids.length : 0,
+    ms,
+  };
+}
+
+/**
+ * Occlusion saliency: p(target) at the last position again with each token
+ * of `ids` left out ('remove', leave-one-out) or swapped for a filler token
+ * ('replace'). The variants reuse cached prefixes but are not cached
+ * themselves, so they don't push the real sequence out of the KV cache.
+ * Returns { base, probs, filler } where probs[i] is p(target) without token i
+ * (null when the sequence has nothing else left).
+ */
+async function occlusion({ ids, target, mode = 'remove' }, onProgress) {
+  if (!currentModel) throw new Error('Model not loaded');
+  const filler = mode === 'replace' ? fillerTokenId() : null;
+  if (mode === 'replace' && filler == null) throw new Error('El tokenizer no tiene token de relleno (pad / unk / eos)');
+
+  const base = Math.exp(await targetLogProb(ids, target));
+  const probs = [];
+  for (let i = 0; i < ids.length; i++) {
+    onProgress({ done: i, total: ids.length });
+    if (mode === 'remove' && ids.length === 1) {
+      probs.push(null);
+    } else if (mode === 'replace' && ids[i] === filler) {
+      probs.push(base);
+    } else {
+      const variant = mode === 'remove'
+        ? [...ids.slice(0, i), ...ids.slice(i + 1)]
+        : ids.map((id, j) => (j === i ? filler : id));
+      probs.push(Math.exp(await targetLogProb(variant, target)));
+    }
+  }
+  return { base, probs, filler };
+}
+
+/** Token that stands in for an occluded one: pad, else unk, else EOS. */
+function fillerTokenId() {
+  const eos = [].concat(currentModel.config.eos_token_id ?? [])[0];
+  return currentTokenizer.pad_token_id ?? currentTokenizer.unk_token_id ?? eos ?? null;
+}
+
+/** log p(target) after `ids`, using the KV cache without adding to it. */
+async function targetLogProb(ids, target) {
+  const exact = kvCaches.find(e => e.ids.length === ids.length && e.ids.every((id, i) => id === ids[i]));
+  if (exact) return logProbAt(exact.logits, 0, exact.logits.length, target);
+
+  const { Tensor } = transformers;
+  const cached = findKvCache(ids);
+  const newIds = cached ? ids.slice(cached.ids.length) : ids;
+  const inputs = {
+    input_ids: new Tensor('int64', BigInt64Array.from(newIds, BigInt), [1, newIds.length]),
+    attention_mask: new Tensor('int64', new BigInt64Array(ids.length).fill(1n), [1, ids.length]),
+  };
+  if (cached) inputs.past_key_values = cached.past;
+
+  const output = await currentModel(inputs);
+  const vocabSize = output.logits.dims[output.logits.dims.length - 1];
+  const logProb = logProbAt(floats(output.logits), (newIds.length - 1) * vocabSize, vocabSize, target);
+  disposeKvCache({ past: presentToPast(output) });
+  return logProb;
+}
+
+/**
+ * A float tensor's values. Without Float16Array support fp16 outputs come as
+ * raw Uint16Array bits, which are decoded here.
+ */
+function floats(tensor) {
+  if (tensor.type === 'float16' && tensor.data instanceof Uint16Array) {
+    return Float32Array.from(tensor.data, halfToFloat);
+  }
+  return tensor.data;
+}
+
+/** log softmax of one row of logits (`size` values from `offset`), read at `target`. */
+function logProbAt(data, offset, size, target) {
+  let max = -Infinity;
+  for (let i = 0; i < size; i++) {
+    const v = Number(data[offset + i]);
+    if (v > max) max = v;
+  }
+  let sum = 0;
+  for (let i = 0; i < size; i++) sum += Math.exp(Number(data[offset + i]) - max);
+  return Number(data[offset + target]) - max - Math.log(sum);
+}
+
+/** Rename present.* outputs to the past_key_values.* inputs of the next step. */
+function presentToPast(output) {
+  const past = {};
+  for (const name in output) {
+    if (name.startsWith('present')) past[name.replace('present', 'past_key_values')] = output[name];
+  }
+  return past;
+}
+
+/** Longest cached sequence that is a strict prefix of `ids`. */
+function findKvCache(ids) {
+  let best = null;
+  for (const entry of kvCaches) {
+    if (entry.ids.length >= ids.length || (best && entry.ids.length <= best.ids.length)) continue;
+    if (entry.ids.every((id, i) => id === ids[i])) best = entry;
+  }
+  return best;
+}
+
+function addKvCache(entry) {
+  const same = (e) => e.ids.length === entry.ids.length && e.ids.every((id, i) => id === entry.ids[i]);
+  kvCaches.filter(same).forEach(disposeKvCache);
+  kvCaches = kvCaches.filter(e => !same(e));
+  kvCaches.push(entry);
+  while (kvCaches.length > MAX_KV_ENTRIES) disposeKvCache(kvCaches.shift());
+}
+
+function clearKvCache() {
+  kvCaches.forEach(disposeKvCache);
+  kvCaches = [];
+}
+
+function disposeKvCache(entry) {
+  // GPU-resident tensors are not garbage collected; entries never share tensors
+  for (const t of Object.values(entry.past)) {
+    if (t.location === 'gpu-buffer') t.dispose();
+  }
+}
+
+/**
+ * Full [1, heads, seq, seq] attention for the whole sequence. With a KV cache
+ * the model only returns rows for the new queries, so earlier rows come from
+ * the previous step, padded with zeros for keys that did not exist yet
+ * (which is exactly what the causal mask gives).
+ */
+function extendAttention(previous, tensor, seqLen) {
+  const [, heads, q] = tensor.dims;
+  const values = floats(tensor);
+  const data = new Float32Array(heads * seqLen * seqLen);
+  const prevLen = seqLen - q;
+
+  for (let h = 0; h < heads; h++) {
+    for (let i = 0; i < prevLen; i++) {
+      const src = (h * prevLen + i) * prevLen;
+      data.set(previous.data.subarray(src, src + prevLen), (h * seqLen + i) * seqLen);
+    }
+    for (let i = 0; i < q; i++) {
+      const src = (h * q + i) * seqLen;
+      for (let j = 0; j < seqLen; j++) {
+        data[(h * seqLen + prevLen + i) * seqLen + j] = Number(values[src + j]);
+      }
+    }
+  }
+  return { dims: [1, heads, seqLen, seqLen], data };
+}
+
+// The cache keeps its own attention buffers; replies get copies (they are transferred)
+function copyAttention({ dims, data }) {
+  return { dims, data: data.slice() };
+}
+
+function decode({ ids }) {
+  if (!currentTokenizer) return ids.map(id => `[${id}]`);
+  return ids.map(id => currentTokenizer.decode([id]));
+}
+
+/**
+ * Search the tokenizer vocabulary by decoded text (or by id, for a number).
+ * Exact matches rank first, then prefixes, then substrings, shorter tokens
+ * first; a leading space is ignored. Returns [{ tokenId, word }].
+ */
+function searchVocab({ query, limit = 30 }) {
+  if (!currentTokenizer) throw new Error('Tokenizer not loaded');
+  if (!vocabTexts) {
+    const size = currentTokenizer.model.vocab?.length ?? currentConfig.vocab_size;
+    vocabTexts = Array.from({ length: size }, (_, id) => currentTokenizer.decode([id]));
+  }
+
+  if (/^\d+$/.test(query)) {
+    const id = Number(query);
+    return id < vocabTexts.length ? [{ tokenId: id, word: vocabTexts[id] }] : [];
+  }
+
+  const needle = query.toLowerCase();
+  const matches = [];
+  vocabTexts.forEach((word, tokenId) => {
+    const text = word.trimStart().toLowerCase();
+    const at = text.indexOf(needle);
+    if (at === -1) return;
+    const rank = text === needle ? 0 : at === 0 ? 1 : 2;
+    matches.push({ tokenId, word, rank });
+  });
+  matches.sort((a, b) => a.rank - b.rank || a.word.length - b.word.length || a.tokenId - b.tokenId);
+  return matches.slice(0, limit).map(({ tokenId, word }) => ({ tokenId, word }));
+}
+
+/**
+ * Real embedding vectors for a token at a given position.
+ * Returns { token: wte[id], position: wpe[pos] | null, sum: token + position }.
+ */
+async function embedding({ tokenId, position }) {
+  const { wte, wpe } = await getWeights();
+
+  const token = wte.row(tokenId);
+  const pos = wpe && position < wpe.rows ? wpe.row(position) : null;
+  const sum = pos ? token.map((v, i) => v + pos[i]) : token;
+  return { token, position: pos, sum };
+}
+
+/**
+ * Logit lens: decode each layer's hidden state (last position) as if it were
+ * the final one, by applying the final LayerNorm and the tied unembedding.
+ * Returns [{ layer, top: [{ tokenId, word, prob }] }] with layer 0-based.
+ */
+async function logitLens({ hiddenStates, k = 5 }) {
+  const { unembed, finalNorm } = await getWeights();
+  if (!finalNorm) throw new Error('El modelo no expone la normalizacion final (ln_f / norm)');
+  if (!unembed) throw new Error('El modelo no comparte embeddings con lm_head y no expone lm_head');
+  const eps = currentConfig.norm_eps;
+  const last = hiddenStates.length - 1;
+
+  return hiddenStates.slice(1).map((h, l) => {
+    // The last entry already went through the final norm inside the model
+    let normed = h;
+    if (l + 1 !== last) {
+      normed = currentConfig.arch.norm === 'rmsnorm'
+        ? rmsNorm(h, finalNorm.weight, eps)
+        : layerNorm(h, finalNorm.weight, finalNorm.bias, eps);
+    }
+    return { layer: l, top: topTokens(unembed.matVec(normed), k) };
+  });
+}
+
+// ─── BPE Trace ───
+
+// GPT-2's byte-level alphabet: printable bytes stand for themselves, the rest
+// (space, control bytes…) are shifted to 256+ so that every byte is a visible
+// character. Maps each character back to its byte.
+const BYTE_OF_CHAR = (() => {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+  const chars = bytes.slice();
+  let shifted = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bytes.includes(b)) {
+      bytes.push(b);
+      chars.push(256 + shifted++);
+    }
+  }
+  return new Map(chars.map((c, i) => [String.fromCharCode(c), bytes[i]]));
+})();
+
+/** Whether `tokenizer` spells bytes with the alphabet above (Ġ = space). */
+function isByteLevel(tokenizer) {
+  const { pre_tokenizer: preTokenizer, decoder } = tokenizer;
+  return JSON.stringify([preTokenizer?.config, decoder?.config]).includes('"ByteLevel"');
+}
+
+/**
+ * Run the loaded tokenizer's BPE by hand on `text`, recording every merge:
+ * normalize, pre-tokenize into pieces (words with their leading space), split
+ * each piece into single symbols (bytes, for byte-level tokenizers) and
+ * repeatedly merge the adjacent pair with the lowest rank in the merges table.
+ * Returns { byteLevel, pieces: [{ piece, initial: [{ symbol, bytes }],
+ * steps: [{ rank, pair, at, symbols }], tokens: [{ symbol, id }] }], ids,
+ * expected, matches } where `at` lists where the merged symbol landed,
+ * `expected` is what the tokenizer itself returns and `matches` whether the
+ * trace reproduces it.
+ */
+function bpeTrace({ text }) {
+  if (!currentTokenizer) throw new Error('Tokenizer not loaded');
+  const { model, normalizer, pre_tokenizer: preTokenizer } = currentTokenizer;
+  if (!Array.isArray(model.merges)) throw new Error('El tokenizer de este modelo no es BPE');
+  if (!mergeRanks) {
+    const pairs = model.merges.map(m => (Array.isArray(m) ? m : m.split(' ')));
+    mergeRanks = new Map(pairs.map(([a, b], rank) => [`${a} ${b}`, rank]));
+  }
+
+  const byteLevel = isByteLevel(currentTokenizer);
+  const normalized = normalizer ? normalizer.normalize(text) : text;
+  const pieces = (preTokenizer ? preTokenizer.pre_tokenize(normalized) : [normalized])
+    .map(piece => tracePiece(piece, model, byteLevel));
+
+  const ids = pieces.flatMap(p => p.tokens.map(t => t.id));
+  const expected = currentTokenizer.encode(text, { add_special_tokens: false });
+  const matches = ids.length === expected.length && ids.every((id, i) => id === expected[i]);
+  return { byteLevel, pieces, ids, expected, matches };
+}
+
+function tracePiece(piece, model, byteLevel) {
+  const vocab = model.tokens_to_ids;
+  const encoder = new TextEncoder();
+  const bytesOf = (symbol) => (byteLevel
+    ? Array.from(symbol, c => BYTE_OF_CHAR.get(c) ?? c.codePointAt(0))
+    : [...encoder.encode(symbol)]);
+
+  let symbols = Array.from(piece);
+  if (model.end_of_word_suffix && symbols.length) symbols[symbols.length - 1] += model.end_of_word_suffix;
+  const initial = symbols.map(symbol => ({ symbol, bytes: bytesOf(symbol) }));
+
+  const steps = [];
+  // Llama 3 style: a piece that is already a token skips the merges
+  if (model.ignore_merges && vocab.has(piece)) {
+    symbols = [piece];
+  }
+  while (symbols.length > 1) {
+    let best = null;
+    for (let i = 0; i < symbols.length - 1; i++) {
+      const rank = mergeRanks.get(`${symbols[i]} ${symbols[i + 1]}`);
+      if (rank !== undefined && (best === null || rank < best.rank)) best = { rank, i };
+    }
+    if (!best) break;
+
+    const [a, b] = [symbols[best.i], symbols[best.i + 1]];
+    const merged = [];
+    const at = [];
+    for (let i = 0; i < symbols.length; i++) {
+      if (i < symbols.length - 1 && symbols[i] === a && symbols[i + 1] === b) {
+        at.push(merged.length);
+        merged.push(a + b);
+        i++;
+      } else {
+        merged.push(symbols[i]);
+      }
+    }
+    symbols = merged;
+    steps.push({ rank: best.rank, pair: [a, b], at, symbols: symbols.slice() });
+  }
+
+  return { piece, initial, steps, tokens: symbols.map(symbol => ({ symbol, id: vocab.get(symbol) ?? null })) };
+}
+
+// ─── Token Bytes ───
+
+/**
+ * The UTF-8 bytes behind each of `ids`, read from the vocabulary rather than
+ * decoded one id at a time (which turns part of a character into U+FFFD).
+ * Returns [{ raw, bytes, special }] where `raw` is the vocabulary entry as
+ * stored: Ġ for a space in byte-level vocabularies, ▁ in SentencePiece ones,
+ * <0xE2> for a byte fallback. Special tokens have no bytes.
+ */
+function tokenBytes({ ids }) {
+  if (!currentTokenizer) throw new Error('Tokenizer not loaded');
+  return bytesOf(currentTokenizer, ids);
+}
+
+function bytesOf(tokenizer, ids) {
+  const { model, added_tokens: addedTokens = [] } = tokenizer;
+  const specials = new Set(addedTokens.filter(t => t.special).map(t => t.id));
+  const byteLevel = isByteLevel(tokenizer);
+  const encoder = new TextEncoder();
+
+  return ids.map(id => {
+    const raw = model.vocab[id] ?? null;
+    if (raw === null || specials.has(id)) return { raw, bytes: [], special: true };
+    const chars = Array.from(raw);
+    if (byteLevel && chars.every(c => BYTE_OF_CHAR.has(c))) {
+      return { raw, bytes: chars.map(c => BYTE_OF_CHAR.get(c)), special: false };
+    }
+    const fallback = raw.match(/^<0x([0-9A-Fa-f]{2})>$/);
+    if (fallback) return { raw, bytes: [parseInt(fallback[1], 16)], special: false };
+    return { raw, bytes: [...encoder.encode(raw.replace(/▁/g, ' '))], special: false };
+  });
+}
+
+// ─── Tokenizer Comparison ───
+
+const tokenizers = new Map(); // modelId → tokenizer loaded without its model
+
+/**
+ * Tokenize `text` with the tokenizer of `modelId` alone: only its tokenizer
+ * files are fetched, and the tokenizer is kept for later calls. It points
+ * Transformers.js at that model's files, so it belongs in a worker that has
+ * no model loaded (see tokenizers.js).
+ * Returns { ids, tokens: [{ id, text, raw, bytes, special }] }.
+ */
+async function tokenizeWith({ modelId, config, files, text }) {
+  const tf = await loadTransformers();
+  if (!tokenizers.has(modelId)) {
+    if (files) keepDroppedFiles(modelId, files);
+    tokenizers.set(modelId, await tf.AutoTokenizer.from_pretrained(useSource(modelId, config)));
+  }
+  const tokenizer = tokenizers.get(modelId);
+  const ids = Array.from(tokenizer(text).input_ids.data).map(Number);
+  const bytes = bytesOf(tokenizer, ids);
+  return { ids, tokens: ids.map((id, i) => ({ id, text: tokenizer.decode([id]), ...bytes[i] })) };
+}
+
+// ─── Ablation ───
+
+let ablationModel = null; // Promise<ablation.prepare()> over the loaded ONNX file, read on first use
+let ablatedSession = null; // { key, session } of the last knockout
+
+/**
+ * Knock out `layer` (or only `head` of it, see ablation.js) and run `ids`
+ * through the patched model from scratch. The patched session is kept, so
+ * running the same knockout again only costs the forward pass.
+ * Returns { logits } for the last position.
+ */
+async function ablate({ ids, layer, head = null }, onProgress) {
+  if (!currentModel) throw new Error('Model not loaded');
+  const key = `${layer}/${head}`;
+  if (ablatedSession?.key !== key) {
+    await releaseAblation(true);
+    onProgress({ message: 'Leyendo el modelo...' });
+    const model = await getAblationModel();
+    onProgress({ message: 'Preparando el modelo sin ese componente...' });
+    const { bytes, restore } = knockOut(model, { layer, head, heads: currentConfig.heads });
+    // The loaded session's class builds the patched one with the same runtime,
+    // on WASM whatever the main backend is. It copies the bytes, so the file
+    // can go back to unpatched for the next knockout right after.
+    const Session = currentModel.sessions.model.constructor;
+    try {
+      ablatedSession = { key, session: await Session.create(bytes, { executionProviders: ['wasm'] }) };
+    } finally {
+      restore();
+    }
+  }
+
+  const { Tensor } = transformers;
+  const inputs = {
+    input_ids: new Tensor('int64', BigInt64Array.from(ids, BigInt), [1, ids.length]),
+    attention_mask: new Tensor('int64', new BigInt64Array(ids.length).fill(1n), [1, ids.length]),
+  };
+  const original = currentModel.sessions.model;
+  currentModel.sessions.model = ablatedSession.session;
+  let output;
+  try {
+    output = await currentModel(inputs);
+  } finally {
+    currentModel.sessions.model = original;
+  }
+
+  const vocabSize = output.logits.dims[output.logits.dims.length - 1];
+  const start = (ids.length - 1) * vocabSize;
+  const values = floats(output.logits);
+  const logits = new Float32Array(vocabSize);
+  for (let i = 0; i < vocabSize; i++) logits[i] = Number(values[start + i]);
+  disposeKvCache({ past: presentToPast(output) });
+  return { logits };
+}
+
+function getAblationModel() {
+  if (!ablationModel) {
+    const pending = openModelFile(modelFileUrl(currentModelId, currentConfig))
+      .then(res => res.arrayBuffer())
+      .then(buffer => prepare(new Uint8Array(buffer)));
+    ablationModel = pending;
+    pending.catch(() => {
+      if (ablationModel === pending) ablationModel = null;
+    });
+  }
+  return ablationModel;
+}
+
+/** Drop the patched session (and, unless `keepModel`, the file copy it came from). */
+async function releaseAblation(keepModel = false) {
+  if (!keepModel) ablationModel = null;
+  const previous = ablatedSession;
+  ablatedSession = null;
+  await previous?.session.release();
+}
+
+const handlers = { load, inspect, variants, tokenize, tokenBytes, tokenizeWith, bpeTrace, forward, occlusion, ablate, decode, searchVocab, embedding, logitLens };
+
+// ─── Files ───
+
+/** Remember dropped files ([{ path, file }]) under their model id for fileCache. */
+function keepDroppedFiles(id, files) {
+  const map = new Map(files.map(f => [f.path, f.file]));
+  droppedModels.set(id, map);
+  return map;
+}
+
+function findDroppedFile(key) {
+  const url = String(key);
+  for (const [id, files] of droppedModels) {
+    const at = url.indexOf(`${id}/`);
+    if (at < 0) continue;
+    const path = url.slice(at + id.length + 1).replace(/^resolve\/[^/]+\//, '');
+    return files.get(path) || null;
+  }
+  return null;
+}
+
+async function openBrowserCache() {
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Custom cache handed to Transformers.js: dropped files answer first and
+ * everything else goes to the regular CACHE_NAME cache in Cache Storage.
+ */
+const fileCache = {
+  async match(key) {
+    const file = findDroppedFile(key);
+    if (file) return new Response(file, { headers: { 'content-length': String(file.size) } });
+    const cache = await openBrowserCache();
+    return cache ? cache.match(key) : undefined;
+  },
+  async put(key, response) {
+    if (findDroppedFile(key)) return;
+    const cache = await openBrowserCache();
+    if (cache) await cache.put(key, response);
+  },
+};
+
+async function openModelFile(url) {
+  return (await fileCache.match(url)) || openFile(url);
+}
+
+// ─── Weights ───
+
+/**
+ * URL of the ONNX graph Transformers.js downloads for a model/dtype.
+ * The same URL is the key of its entry in Cache Storage.
+ */
+function modelFileUrl(modelId, config) {
+  const dtype = config.dtype || 'fp32';
+  if (config.source === 'local') {
+    return new URL(`onnx/model${DTYPE_SUFFIX[dtype] ?? ''}.onnx`, config.url).href;
+  }
+  return `${hubUrl(modelId)}onnx/model${DTYPE_SUFFIX[dtype] ?? ''}.onnx`;
+}
+
+/** Base URL of a hub repo's files, honouring env.remoteHost for mirrors. */
+function hubUrl(repo) {
+  const { remoteHost, remotePathTemplate } = transformers.env;
+  const path = remotePathTemplate.replaceAll('{model}', repo).replaceAll('{revision}', 'main');
+  return new URL(path, remoteHost).href;
+}
+
+// Initializer names per family; exports that rename them fall back to shape lookups
+const EMBEDDING_NAMES = ['transformer.wte.weight', 'wte.weight', 'model.embed_tokens.weight', 'embed_tokens.weight', 'gpt_neox.embed_in.weight'];
+const POSITION_NAMES = ['transformer.wpe.weight', 'wpe.weight'];
+const LM_HEAD_NAMES = ['lm_head.weight', 'embed_out.weight'];
+const FINAL_NORM_NAMES = ['transformer.ln_f', 'ln_f', 'model.norm', 'norm', 'gpt_neox.final_layer_norm', 'model.final_layernorm'];
+
+/**
+ * Pull the token embedding (wte / embed_tokens), learned positions (wpe, GPT-2
+ * style only), the unembedding and the final norm out of the loaded model's
+ * ONNX initializers. Only tensors with those shapes (plus small 1-D tensors
+ * like scales) are kept while streaming.
+ */
+async function loadWeights(modelId, config) {
+  const { vocab_size: vocab, hidden_dim: dim, max_positions: positions, arch } = config;
+  const learned = arch.positions === 'learned';
+
+  const tensors = await readInitializers(
+    modelFileUrl(modelId, config),
+    (t, bytes) =>
+      (t.dims.length <= 1 && bytes <= 1 << 20) ||
+      (t.dims.length === 2 && t.dims[1] === dim && (t.dims[0] === vocab || (learned && t.dims[0] === positions))),
+    openModelFile
+  );
+
+  const wte = findMatrix(tensors, EMBEDDING_NAMES) || findMatrixByShape(tensors, vocab, dim);
+  const wpe = learned
+    ? findMatrix(tensors, POSITION_NAMES) || findMatrixByShape(tensors, positions, dim)
+    : null;
+  if (!wte) throw new Error('El modelo no expone la matriz de embeddings (wte)');
+
+  // Untied models project with their own lm_head (stored [vocab, dim] when kept by name)
+  const unembed = arch.tied ? wte : findMatrix(tensors, LM_HEAD_NAMES);
+
+  const normName = FINAL_NORM_NAMES.find(name => tensors.get(`${name}.weight`)?.data);
+  const normBias = normName && tensors.get(`${normName}.bias`);
+  const finalNorm = normName
+    ? { weight: toFloat32(tensors.get(`${normName}.weight`)), bias: normBias?.data ? toFloat32(normBias) : null }
+    : null;
+
+  return { wte, wpe, unembed, finalNorm };
+}
+
+function getWeights() {
+  if (!currentModelId) throw new Error('Model not loaded');
+  if (!modelWeights) {
+    const pending = loadWeights(currentModelId, currentConfig);
+    modelWeights = pending;
+    pending.catch(() => {
+      if (modelWeights === pending) modelWeights = null;
+    });
+  }
+  return modelWeights;
+}
+
+/** Top-k of softmax(logits) over the full vocabulary. */
+function topTokens(logits, k) {
+  let max = -Infinity;
+  for (let i = 0; i < logits.length; i++) if (logits[i] > max) max = logits[i];
+  let sum = 0;
+  for (let i = 0; i < logits.length; i++) sum += Math.exp(logits[i] - max);
+
+  const top = [];
+  for (let i = 0; i < logits.length; i++) {
+    if (top.length === k && logits[i] <= top[k - 1].logit) continue;
+    top.push({ tokenId: i, logit: logits[i] });
+    top.sort((a, b) => b.logit - a.logit);
+    if (top.length > k) top.pop();
+  }
+  return top.map(t => ({
+    tokenId: t.tokenId,
+    word: currentTokenizer.decode([t.tokenId]),
+    prob: Math.exp(t.logit - max) / sum,
+  }));
+}
+
+// ─── Messaging ───
+
+/** Collect the buffers of every typed array in a result so they move instead of copy. */
+function transferables(value, out = new Set()) {
+  if (ArrayBuffer.isView(value)) {
+    out.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => transferables(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => transferables(v, out));
+  }
+  return out;
+}
+
+// Requests run one at a time: an ONNX session can't run two inferences at once
+let queue = Promise.resolve();
+
+self.onmessage = (e) => {
+  const { id, type, payload } = e.data;
+  queue = queue.then(async () => {
+    try {
+      const handler = handlers[type];
+      if (!handler) throw new Error(`Unknown worker request: ${type}`);
+      const result = await handler(payload, (progress) => self.postMessage({ id, progress }));
+      self.postMessage({ id, result }, [...transferables(result)]);
+    } catch (err) {
+      self.postMessage({ id, error: err.message });
+    }
+  });
+};